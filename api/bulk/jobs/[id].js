@@ -0,0 +1,76 @@
+// api/bulk/jobs/[id].js
+// GET                → advance the job by one time slice, then report per-item progress
+// GET ?download=1    → the finished zip (409 until the job is done)
+// POST { action: "resume" } → re-queue a failed job from its last completed item
+
+import { bulkZipName } from "../../../lib/bulk.js";
+import { advanceJob, isJobId, jobSummary, loadJob, readJobZip, resumeJob } from "../../../lib/jobs.js";
+import { withUpstreamCache } from "../../../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  if (!chunks.length) return {};
+  try { return JSON.parse(Buffer.concat(chunks).toString("utf8")); }
+  catch { return {}; }
+}
+
+async function handler(req, res) {
+  const { id, download } = req.query || {};
+  if (!isJobId(id)) {
+    res.status(400).json({ error: "Invalid job id" });
+    return;
+  }
+
+  let job = await loadJob(id);
+  if (!job) {
+    res.status(404).json({ error: `No job '${id}'` });
+    return;
+  }
+
+  try {
+    if (req.method === "POST") {
+      const body = await readJsonBody(req);
+      if (body.action !== "resume") {
+        res.status(400).json({ error: "Unknown action; use { action: \"resume\" }" });
+        return;
+      }
+      job = await resumeJob(job);
+      res.status(200).json(jobSummary(job));
+      return;
+    }
+
+    if (req.method !== "GET") {
+      res.status(405).json({ error: "Use GET (progress / ?download=1) or POST { action: \"resume\" }" });
+      return;
+    }
+
+    if (download) {
+      if (job.status !== "done") {
+        res.status(409).json({ ...jobSummary(job), error: `Job is ${job.status}, not done` });
+        return;
+      }
+      const buf = await readJobZip(job);
+      if (!buf) {
+        res.status(404).json({ error: "No features found for supplied items." });
+        return;
+      }
+      const name = bulkZipName(job.format);
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename=${name}`);
+      res.setHeader("x-filename", name);
+      res.status(200).send(buf);
+      return;
+    }
+
+    // Polling drives the work: each GET processes items until its time budget runs out.
+    job = await advanceJob(job);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json(jobSummary(job));
+  } catch (err) {
+    res.status(500).json({ error: "Job request failed", details: String(err?.message || err) });
+  }
+}
+
+export default withUpstreamCache(handler);
@@ -0,0 +1,69 @@
+// api/bulk/jobs/index.js
+// POST { items, defaultDataset, format, srs?, raw?, includeRelated?, includeAttachments?, layerUrl? + idField?, groupField? } → 202 { id, ... } — starts a resumable bulk job.
+// Progress and the finished zip come from GET /api/bulk/jobs/:id.
+
+import { SRS_ERROR, resolveOutputSrs } from "../../../lib/export.js";
+import { MAX_JOB_ITEMS, createJob, jobSummary } from "../../../lib/jobs.js";
+import { resolveAdhocLayer } from "../../../lib/adhocLayer.js";
+import { groupLayers } from "../../../lib/group.js";
+import { normalizeDefaultDataset } from "../../../lib/bulk.js";
+export const config = { runtime: "nodejs" };
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  if (!chunks.length) return {};
+  try { return JSON.parse(Buffer.concat(chunks).toString("utf8")); }
+  catch { return {}; }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Use POST with JSON body { items, defaultDataset, format, srs?, raw?, includeRelated?, includeAttachments?, layerUrl? + idField?, groupField? }" });
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  const items = Array.isArray(body.items) ? body.items : [];
+  if (!items.length) {
+    res.status(400).json({ error: "No items provided" });
+    return;
+  }
+  if (items.length > MAX_JOB_ITEMS) {
+    res.status(400).json({ error: `Too many items (${items.length}); the limit is ${MAX_JOB_ITEMS} per job.` });
+    return;
+  }
+  const srs = resolveOutputSrs(body.srs);
+  if (!srs) {
+    res.status(400).json({ error: SRS_ERROR });
+    return;
+  }
+  // Checked once here; the job keeps the resolved layer for every time slice
+  let layer = null;
+  if (body.layerUrl) {
+    const adhoc = await resolveAdhocLayer(body);
+    if (adhoc.error) {
+      res.status(adhoc.status).json({ error: adhoc.error });
+      return;
+    }
+    layer = adhoc.def;
+  }
+  const groupField = body.groupField ? String(body.groupField) : null;
+  const defDataset = normalizeDefaultDataset(body.defaultDataset);
+  if (groupField && (layer || (defDataset && defDataset !== "auto"))) {
+    const set = await groupLayers(layer ? layer.key : defDataset, groupField, { layer });
+    if (set.error) {
+      res.status(set.status).json({ error: set.error });
+      return;
+    }
+  }
+
+  try {
+    const job = await createJob({ items, defaultDataset: body.defaultDataset, format: body.format, srs, raw: body.raw === true, layer, groupField,
+      includeRelated: body.includeRelated === true, includeAttachments: body.includeAttachments === true });
+    res.setHeader("Location", `/api/bulk/jobs/${job.id}`);
+    res.status(202).json(jobSummary(job));
+  } catch (err) {
+    res.status(500).json({ error: "Could not create job", details: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,14 @@
+// api/datasets.js
+// Lists the dataset registry (keys, labels, id fields, example IDs, hints) for the UI.
+
+import { describeDatasets } from "../lib/datasets.js";
+export const config = { runtime: "nodejs" };
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Use GET" });
+    return;
+  }
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.status(200).json({ datasets: describeDatasets() });
+}
@@ -0,0 +1,28 @@
+// api/datasets/[key]/schema.js
+// GET → the live layer definition(s) behind one dataset key: fields, geometry type,
+// max record count, and whether each configured id field exists (Montgomery: per inner layer).
+
+import { datasetSchema } from "../../../lib/schema.js";
+import { DATASETS } from "../../../lib/datasets.js";
+import { withUpstreamCache } from "../../../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Use GET" });
+    return;
+  }
+  const { key } = req.query || {};
+  if (!DATASETS[key]) {
+    res.status(404).json({ error: `Unknown dataset '${key || ""}'`, datasets: Object.keys(DATASETS) });
+    return;
+  }
+
+  try {
+    res.status(200).json(await datasetSchema(key));
+  } catch (e) {
+    res.status(500).json({ error: "Schema check failed", details: String(e?.message || e) });
+  }
+}
+
+export default withUpstreamCache(handler);
@@ -0,0 +1,26 @@
+// api/health.js
+// GET → checks every registry entry (and every Montgomery inner layer) against its live
+// layer definition: unreachable services, Query capability, id / curated fields, geometry
+// type and MapServer ↔ FeatureServer mismatches. 503 when a layer has problems (lookups
+// would break), 200 otherwise — warnings included.
+
+import { registryHealth } from "../lib/schema.js";
+import { withUpstreamCache } from "../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Use GET" });
+    return;
+  }
+
+  try {
+    const report = await registryHealth();
+    res.setHeader("Cache-Control", "no-store");
+    res.status(report.ok ? 200 : 503).json(report);
+  } catch (e) {
+    res.status(500).json({ error: "Health check failed", details: String(e?.message || e) });
+  }
+}
+
+export default withUpstreamCache(handler);
@@ -0,0 +1,120 @@
+// api/intersect.js
+// Map → IDs: upload a site boundary (KML, GeoJSON or zipped shapefile) and get
+// every registered asset that intersects it — a per-dataset report of IDs, or a
+// zip with the hits merged into one KML / GeoJSON / PDF plus the report.
+
+import { DATASETS } from "../lib/datasets.js";
+import { geoJSONToEsriPolygon } from "../lib/arcgis.js";
+import { parseBoundary } from "../lib/boundary.js";
+import { layersFor, searchLayers } from "../lib/spatial.js";
+import { buildBulkZip, makeRecord, presentRecords } from "../lib/bulk.js";
+import { SRS_ERROR, resolveOutputSrs } from "../lib/export.js";
+import { bbox } from "../lib/geometry.js";
+import { withUpstreamCache } from "../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+// ---------- helpers ----------
+async function readJson(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  try { return JSON.parse(raw || "{}"); } catch { return {}; }
+}
+
+// `data` is base64 (any format); `text` is accepted for KML / GeoJSON pasted as-is.
+function uploadBuffer(body) {
+  if (typeof body.data === "string" && body.data) return Buffer.from(body.data.replace(/^data:[^,]*,/, ""), "base64");
+  if (typeof body.text === "string" && body.text) return Buffer.from(body.text, "utf8");
+  return null;
+}
+
+function buildReport(filename, boundary, keys, hits, errors, truncated) {
+  const byDataset = keys.map(key => {
+    const ids = hits.filter(h => h.dataset === key).map(h => h.id).filter(Boolean);
+    return { dataset: key, label: DATASETS[key].label, count: hits.filter(h => h.dataset === key).length, ids: [...new Set(ids)] };
+  });
+  return {
+    filename,
+    boundary: { polygons: boundary.geometry.coordinates.length, bbox: bbox(boundary.geometry) },
+    datasets: keys,
+    total: hits.length,
+    truncated,
+    byDataset,
+    errors,
+  };
+}
+
+// ---------- main ----------
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Use POST { filename, data (base64) | text, datasets?, format?, srs?, raw? }" });
+    return;
+  }
+
+  const body = await readJson(req);
+  const filename = String(body.filename || "");
+  const buffer = uploadBuffer(body);
+  if (!filename || !buffer) {
+    res.status(400).json({ error: "Provide filename and the boundary file as base64 `data` (or KML/GeoJSON `text`)" });
+    return;
+  }
+  const srs = resolveOutputSrs(body.srs);
+  if (!srs) {
+    res.status(400).json({ error: SRS_ERROR });
+    return;
+  }
+
+  const keys = Array.isArray(body.datasets) && body.datasets.length ? body.datasets : Object.keys(DATASETS);
+  const { layers, unknown } = layersFor(keys);
+  if (unknown.length) {
+    res.status(400).json({ error: `Unknown dataset '${unknown[0]}'` });
+    return;
+  }
+
+  let boundary;
+  try {
+    boundary = await parseBoundary(filename, buffer);
+  } catch (e) {
+    res.status(400).json({ error: String(e?.message || e) });
+    return;
+  }
+
+  try {
+    const params = {
+      geometry: JSON.stringify(geoJSONToEsriPolygon(boundary.geometry)),
+      geometryType: "esriGeometryPolygon",
+      inSR: 4326,
+      spatialRel: "esriSpatialRelIntersects",
+    };
+    const { hits, errors, truncated } = await searchLayers(layers, params);
+    const report = buildReport(filename, boundary, keys, hits, errors, truncated);
+
+    const format = String(body.format || "json").toLowerCase();
+    if (format === "json") {
+      res.status(200).json(report);
+      return;
+    }
+
+    const records = hits.map(h => {
+      const rec = makeRecord(h.id || `OBJECTID ${h.feature.properties?.OBJECTID ?? "?"}`, h.dataset, h.feature);
+      rec.feature.properties._sourceLabel = h.label;
+      return rec;
+    });
+    await presentRecords(records, { raw: body.raw === true });
+    const reportFile = ["mapbuddy_intersect_report.json", Buffer.from(JSON.stringify(report, null, 2))];
+    const zip = await buildBulkZip(records, format, [reportFile], { srs });
+    if (!zip.buffer) {
+      res.status(404).json({ ...report, error: "No assets intersect the boundary." });
+      return;
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", "attachment; filename=mapbuddy_intersect.zip");
+    res.status(200).send(zip.buffer);
+
+  } catch (err) {
+    res.status(500).json({ error: "Intersect failed", details: String(err?.message || err) });
+  }
+}
+
+export default withUpstreamCache(handler);
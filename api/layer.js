@@ -0,0 +1,32 @@
+// api/layer.js
+// GET ?url=<ArcGIS layer URL> → the layer's name, geometry type and fields, so the UI
+// can offer its id field before saving it as a custom dataset (lib/adhocLayer.js).
+
+import { allowedLayerHosts, describeAdhocLayer } from "../lib/adhocLayer.js";
+import { withUpstreamCache } from "../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ error: "Use GET ?url=<layer URL>" });
+    return;
+  }
+  const url = req.query?.url ?? new URL(req.url || "/", "http://x").searchParams.get("url");
+  if (!url) {
+    res.status(400).json({ error: "url is required" });
+    return;
+  }
+
+  try {
+    const layer = await describeAdhocLayer(url);
+    if (layer.error) {
+      res.status(layer.status).json({ error: layer.error, ...(layer.status === 403 ? { allowedHosts: allowedLayerHosts() } : {}) });
+      return;
+    }
+    res.status(200).json(layer);
+  } catch (e) {
+    res.status(500).json({ error: "Layer check failed", details: String(e?.message || e) });
+  }
+}
+
+export default withUpstreamCache(handler);
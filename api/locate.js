@@ -1,256 +1,93 @@
 // api/locate.js
-// Returns centroid + Google Maps link for a single feature.
-
-import axios from "axios";
+// Returns a label point (always on the feature) + Google Maps link, the true centroid
+// and bbox for a single feature, with every candidate
+// the ID matched (300 when the user has to pick; resend with `choice`).
+// `layerUrl` + `idField` search one allowlisted ArcGIS layer instead of a dataset.
+
+import { googleMapsUrl, locationOf } from "../lib/geometry.js";
+import { describeCandidates, lookupSingle } from "../lib/lookup.js";
+import { geocodeAddress, geocodedFeature, looksLikeAddress } from "../lib/geocode.js";
+import { resolveAdhocLayer } from "../lib/adhocLayer.js";
+import { withUpstreamCache } from "../lib/cache.js";
 export const config = { runtime: "nodejs" };
 
-// ---------- registry (mirror convert) ----------
-const DATASETS = {
-  fairfax_bmps: {
-    base: "https://www.fairfaxcounty.gov/mercator/rest/services/DPWES/StwFieldMap/MapServer/7",
-    idFields: ["FACILITY_ID"]
-  },
-  mdsha_landscape: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/OED_Env_Assets_Mgr/OED_Environmental_Assets_WGS84_Maryland_MDOTSHA/MapServer/0",
-    idFields: ["LOD_ID"]
-  },
-  mdsha_tmdl_structures: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/0",
-    idFields: ["SWM_FAC_NO", "ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"]
-  },
-  mdsha_tmdl_retrofits: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/1",
-    idFields: ["SWM_FAC_NO", "ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"]
-  },
-  // IMPORTANT: Tree Plantings layer 2 matches on STRU_ID only.
-  mdsha_tmdl_tree_plantings: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/2",
-    idFields: ["STRU_ID"]
-  },
-  mdsha_tmdl_pavement_removals: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/3",
-    idFields: ["ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"]
-  },
-  mdsha_tmdl_stream_restorations: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/4",
-    idFields: ["ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"]
-  },
-  mdsha_tmdl_outfall_stabilizations: {
-    base: "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer/5",
-    idFields: ["ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"]
-  },
-
-  // ✅ Unified Montgomery County (same as convert, includes address-friendly fields)
-  montgomery_county: {
-    layers: [
-      {
-        base: "https://depgis.montgomerycountymd.gov/arcgis/rest/services/DEP_Public/DEP_Stormwater/MapServer/2",
-        idFields: ["ASSET", "SEQNO", "PROP_NAME", "P_ST_ADD", "Acct", "P_ACCT", "GRID", "INSP_REG", "Type_Desc"],
-        type: "point",
-        label: "Montgomery — DEP Stormwater Facilities (points)"
-      },
-      {
-        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/BLDG_PS/MapServer/0",
-        idFields: ["NAME", "ALIAS_NAME", "AGENCYNAME", "ADDRESS", "FULLADDR"],
-        type: "polygon",
-        label: "Montgomery — County Buildings"
-      },
-      {
-        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/communities_w_muni/MapServer/0",
-        idFields: ["NAME", "COMMUNITY", "MUNICIPALITY", "MUNI_NAME"],
-        type: "polygon",
-        label: "Montgomery — Communities & Municipalities"
-      },
-      {
-        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/municipalities/MapServer/0",
-        idFields: ["NAME", "MUNI_NAME"],
-        type: "polygon",
-        label: "Montgomery — Municipalities"
-      },
-      {
-        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/DOT/MCDOT_Tree_Inventory_FY22/MapServer/0",
-        idFields: ["TREE_ID", "SITE_NAME", "STREETNAME", "ADDRNUM", "FULLADDR", "COMMUNITY"],
-        type: "point",
-        label: "Montgomery — Tree Inventory (FY22)"
-      }
-    ]
-  }
-};
-
-const esc = (v) => String(v).replace(/'/g, "''");
-
-function tmdlVariants(assetId){
-  const s = String(assetId || "").trim().toUpperCase();
-  const m = s.match(/^(\d+)\s*-?\s*([A-Z]{2})$/);
-  if (m) { const num=m[1], suf=m[2]; return [ `${num}${suf}`, `${num}-${suf}`, `${num} ${suf}` ]; }
-  return [s, s.replace(/-/g,""), s.replace(/\s+/g,""), s.replace(/(\d+)([A-Za-z]+)/,'$1-$2'), s.replace(/(\d+)([A-Za-z]+)/,'$1 $2')];
-}
-
-function buildWhereExact(fields, value, isTmdl){
-  const vals = isTmdl ? tmdlVariants(value) : [String(value)];
-  const ors = [];
-  for(const f of fields) for(const v of vals) ors.push(`UPPER(${f}) = UPPER('${esc(v)}')`);
-  return ors.join(" OR ");
-}
-function buildWhereLike(fields, value, isTmdl){
-  const vals = isTmdl ? tmdlVariants(value) : [String(value)];
-  const patterns = new Set();
-  for (const v of vals) {
-    patterns.add(`%${v}%`);
-    patterns.add(`%${v.replace(/-/g," ")}%`);
-    patterns.add(`%${v.replace(/\s+/g,"-")}%`);
-  }
-  const ors = [];
-  for(const f of fields) for(const p of patterns) ors.push(`UPPER(${f}) LIKE UPPER('${esc(p)}')`);
-  return ors.join(" OR ");
-}
-
-// centroid helpers
-function bboxCenter(coordsFlat){ let minx=Infinity,miny=Infinity,maxx=-Infinity,maxy=-Infinity;
-  for(const [x,y] of coordsFlat){ if(x<minx)minx=x; if(y<miny)miny=y; if(x>maxx)maxx=x; if(y>maxy)maxy=y; }
-  return { lng:(minx+maxx)/2, lat:(miny+maxy)/2 }; }
-function flattenCoords(g){ const out=[]; const walk=(c)=>{ if(typeof c[0]==="number") out.push(c); else c.forEach(walk); }; walk(g.coordinates); return out; }
-function centroidPolygon(rings){ const ring=rings[0]; let a=0,cx=0,cy=0;
-  for(let i=0,j=ring.length-1;i<ring.length;j=i++){ const [x0,y0]=ring[j],[x1,y1]=ring[i]; const f=x0*y1-x1*y0; a+=f; cx+=(x0+x1)*f; cy+=(y0+y1)*f; }
-  if(a===0) return bboxCenter(ring); a*=0.5; cx/=(6*a); cy/=(6*a); return { lng:cx, lat:cy }; }
-function centroid(geom){
-  if(!geom) return null; const t=geom.type;
-  if(t==="Point") return { lng: geom.coordinates[0], lat: geom.coordinates[1] };
-  if(t==="MultiPoint"||t==="LineString"){ const flat=flattenCoords(geom); let sx=0,sy=0; for(const [x,y] of flat){ sx+=x; sy+=y; } return { lng:sx/flat.length, lat:sy/flat.length }; }
-  if(t==="MultiLineString") return bboxCenter(flattenCoords(geom));
-  if(t==="Polygon") return centroidPolygon(geom.coordinates);
-  if(t==="MultiPolygon"){ let best=null, bestAbs=-1;
-    for(const poly of geom.coordinates){ const ring=poly[0]; let a=0; for(let i=0,j=ring.length-1;i<ring.length;j=i++){ const [x0,y0]=ring[j],[x1,y1]=ring[i]; a += x0*y1 - x1*y0; }
-      const abs=Math.abs(a); if(abs>bestAbs){ bestAbs=abs; best=centroidPolygon(poly); } }
-    return best || bboxCenter(flattenCoords(geom));
-  }
-  return null;
-}
-
 async function readJson(req){
   const chunks=[]; for await (const c of req) chunks.push(c);
   try { return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"); } catch { return {}; }
 }
 
-async function arcQueryJson(base, params){
-  const url = `${base}/query`;
-  const r = await axios.get(url, { params, timeout: 20000, validateStatus: () => true });
-  if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
-  const feats = (r.data && Array.isArray(r.data.features)) ? r.data.features : [];
-  return feats;
-}
-
-function looksLikeAddress(s){
-  const t = String(s || "").trim();
-  return /\d+\s+\S+/.test(t);
-}
-
-// ✅ Montgomery County geocoder fallback
-async function geocodeMontgomery(singleLine){
-  const url = "https://gis.montgomerycountymd.gov/geocoding/rest/services/Locators/CompositeLocator/GeocodeServer/findAddressCandidates";
-  const params = { SingleLine: singleLine, outSR: 4326, f: "pjson", maxLocations: 1 };
-  const r = await axios.get(url, { params, timeout: 20000, validateStatus: () => true });
-  if (r.status !== 200) return null;
-  const top = r.data?.candidates?.[0];
-  if (!top?.location) return null;
-  const { x, y } = top.location;
-  if (typeof x !== "number" || typeof y !== "number") return null;
-  return { lat: y, lng: x, matched: top.address || singleLine, score: top.score };
-}
-
-export default async function handler(req, res){
+async function handler(req, res){
   try{
-    if(req.method!=="POST"){ res.status(405).json({ error:"Use POST with JSON body { assetId, dataset }" }); return; }
-    const { assetId, dataset } = await readJson(req);
-    if(!assetId || !dataset){ res.status(400).json({ error:"Missing assetId or dataset" }); return; }
-
-    const ds = DATASETS[dataset];
-    if(!ds){ res.status(400).json({ error:`Unknown dataset '${dataset}'` }); return; }
-
-    const isTmdl = dataset.startsWith("mdsha_tmdl_");
+    if(req.method!=="POST"){ res.status(405).json({ error:"Use POST with JSON body { assetId, dataset? | layerUrl + idField, choice?, geocoder? }" }); return; }
+    const body = await readJson(req);
+    const { assetId, choice, objectId, geocoder } = body;
+    if(!assetId && !choice && objectId == null){ res.status(400).json({ error:"Missing assetId" }); return; }
+
+    let { dataset } = body, layer = null;
+    if(body.layerUrl){
+      const adhoc = await resolveAdhocLayer(body);
+      if(adhoc.error){ res.status(adhoc.status).json({ error: adhoc.error }); return; }
+      layer = adhoc.def;
+      dataset = layer.key;
+    }
 
-    let found = null; // { geometry, attributes, label }
+    const found = await lookupSingle({ assetId, dataset, choice, objectId, layer });
+    if(found.error){ res.status(found.status).json({ error: found.error }); return; }
+    const candidates = describeCandidates(found.candidates);
 
-    // Montgomery (unified): iterate over inner layers, exact then LIKE
-    if (dataset === "montgomery_county") {
-      const passes = ["exact", "like"];
-      for (const pass of passes) {
-        for (const lyr of ds.layers) {
-          const params = {
-            where: (pass === "exact")
-              ? buildWhereExact(lyr.idFields, assetId, false)
-              : buildWhereLike (lyr.idFields, assetId, false),
-            outFields: "*",
-            returnGeometry: true,
-            outSR: 4326,
-            f: "json"
-          };
-          const feats = await arcQueryJson(lyr.base, params);
-          if (feats.length) {
-            found = { geometry: feats[0].geometry || {}, attributes: feats[0].attributes || {}, label: lyr.label };
-            break;
-          }
-        }
-        if (found) break;
-      }
+    if(found.ambiguous){
+      res.status(300).json({ error:`${found.total} features match '${assetId}'; pick one`, assetId, dataset, matchMode: found.matchMode, total: found.total, candidates });
+      return;
+    }
 
-      // ✅ Geocoder fallback for addresses
-      if (!found && looksLikeAddress(assetId)) {
-        const g = await geocodeMontgomery(assetId);
+    const hit = found.hit;
+    if(!hit){
+      // ✅ Geocoder fallback for addresses — the dataset's locators, or every one in auto mode
+      if (!choice && looksLikeAddress(assetId)) {
+        const matches = await geocodeAddress(assetId, { dataset, provider: geocoder });
+        const g = matches[0];
         if (g) {
-          const googleMapsUrl = `https://www.google.com/maps?q=${g.lat.toFixed(6)},${g.lng.toFixed(6)}`;
+          const pt = { lat: g.lat, lng: g.lng };
           res.status(200).json({
             assetId,
-            dataset,
-            centroid: { lat: g.lat, lng: g.lng },
-            googleMapsUrl,
-            properties: { _geocoded: true, MatchedAddress: g.matched, Score: g.score }
+            dataset: dataset && dataset !== "auto" ? dataset : null,
+            labelPoint: pt,
+            centroid: pt,
+            googleMapsUrl: googleMapsUrl(pt),
+            properties: geocodedFeature(g).properties,
+            sourceLabel: g.providerLabel,
+            geocoded: { provider: g.provider, score: g.score, lowScore: g.lowScore },
+            geocodeCandidates: matches,
+            candidates: []
           });
           return;
         }
       }
-    } else {
-      // All other single-layer datasets
-      const paramsExact = {
-        where: buildWhereExact(ds.idFields, assetId, isTmdl),
-        outFields: "*",
-        returnGeometry: true,
-        outSR: 4326,
-        f: "json"
-      };
-      let feats = await arcQueryJson(ds.base, paramsExact);
-
-      if(!feats.length){
-        const paramsLike = {
-          where: buildWhereLike(ds.idFields, assetId, isTmdl),
-          outFields: "*",
-          returnGeometry: true,
-          outSR: 4326,
-          f: "json"
-        };
-        feats = await arcQueryJson(ds.base, paramsLike);
-      }
-
-      if (feats.length) {
-        found = { geometry: feats[0].geometry || {}, attributes: feats[0].attributes || {}, label: dataset };
-      }
+      res.status(404).json({ error: dataset && dataset !== "auto" ? "No feature found" : "No feature found in any dataset" });
+      return;
     }
 
-    if(!found){ res.status(404).json({ error: "No feature found" }); return; }
-
-    const g = found.geometry || {};
-    let geo = null;
-    if (Array.isArray(g.rings))      geo = { type:"Polygon",        coordinates:g.rings };
-    else if (Array.isArray(g.paths)) geo = g.paths.length===1 ? { type:"LineString", coordinates:g.paths[0] } : { type:"MultiLineString", coordinates:g.paths };
-    else if (typeof g.x==="number" && typeof g.y==="number") geo = { type:"Point", coordinates:[g.x,g.y] };
-
-    const c = geo ? centroid(geo) : null;
-    if(!c){ res.status(500).json({ error:"Unable to compute centroid" }); return; }
-
-    const googleMapsUrl = `https://www.google.com/maps?q=${c.lat.toFixed(6)},${c.lng.toFixed(6)}`;
-    res.status(200).json({ assetId, dataset, centroid:c, googleMapsUrl, properties: found.attributes || {}, sourceLabel: found.label });
+    const loc = locationOf(hit.feature.geometry);
+    if(!loc){ res.status(500).json({ error:"Unable to compute a location for this feature" }); return; }
+
+    res.status(200).json({
+      assetId: assetId || String(hit.objectId),
+      dataset: hit.dataset,
+      labelPoint: loc.labelPoint,
+      centroid: loc.centroid,
+      bbox: loc.bbox,
+      googleMapsUrl: googleMapsUrl(loc.labelPoint),
+      properties: hit.feature.properties || {},
+      sourceLabel: hit.layer,
+      matchedField: hit.field,
+      matchMode: hit.matchMode,
+      choice: hit.choice,
+      candidates
+    });
 
   }catch(err){
     res.status(500).json({ error: err?.message || String(err) });
   }
 }
+
+export default withUpstreamCache(handler);
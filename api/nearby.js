@@ -0,0 +1,135 @@
+// api/nearby.js
+// Spatial search: every asset within a radius of a point (or an address), or
+// inside a bounding box, across the registered layers. Returns a JSON list with
+// distances, or the hits as KML / GeoJSON / Shapefile (same exports as convert).
+
+import { DATASETS } from "../lib/datasets.js";
+import { layersFor, searchLayers } from "../lib/spatial.js";
+import { exportFeatureCollection, sendExport } from "../lib/export.js";
+import { distanceMeters, googleMapsUrl, locationOf } from "../lib/geometry.js";
+import { geocodeAddress } from "../lib/geocode.js";
+import { presentFeatures } from "../lib/attributes.js";
+import { withUpstreamCache } from "../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+const FT_PER_M = 3.28084;
+const UNIT_TO_FT = { ft: 1, m: FT_PER_M, mi: 5280 };
+const MAX_RADIUS_FT = 2 * 5280;
+const MAX_BBOX_SPAN_DEG = 0.2;
+
+// ---------- helpers ----------
+async function readJson(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  try { return JSON.parse(raw || "{}"); } catch { return {}; }
+}
+
+class BadRequest extends Error {}
+
+function parseBbox(bbox) {
+  const b = Array.isArray(bbox) ? bbox.map(Number) : String(bbox).split(",").map(Number);
+  if (b.length !== 4 || b.some(v => !Number.isFinite(v))) throw new BadRequest("bbox must be [minLng, minLat, maxLng, maxLat]");
+  const [minx, miny, maxx, maxy] = b;
+  if (minx >= maxx || miny >= maxy) throw new BadRequest("bbox min must be less than max");
+  if (maxx - minx > MAX_BBOX_SPAN_DEG || maxy - miny > MAX_BBOX_SPAN_DEG) throw new BadRequest(`bbox is limited to ${MAX_BBOX_SPAN_DEG}° on each side`);
+  return b;
+}
+
+// ---------- main ----------
+async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Use POST { lat, lng | address, radius, unit? | bbox, datasets?, format?, raw? }" });
+      return;
+    }
+
+    const body = await readJson(req);
+    const keys = Array.isArray(body.datasets) && body.datasets.length ? body.datasets : Object.keys(DATASETS);
+    const { layers, unknown } = layersFor(keys);
+    if (unknown.length) throw new BadRequest(`Unknown dataset '${unknown[0]}'`);
+
+    // Where: explicit point, geocoded address, or bbox
+    let center = null, matchedAddress = null, geocoded = null;
+    if (Number.isFinite(Number(body.lat)) && Number.isFinite(Number(body.lng)) && body.lat !== "" && body.lng !== "") {
+      center = { lat: Number(body.lat), lng: Number(body.lng) };
+    } else if (body.address) {
+      // One dataset → its locators; several → every locator, best score wins
+      const [g] = await geocodeAddress(body.address, { dataset: keys.length === 1 ? keys[0] : undefined, provider: body.geocoder });
+      if (!g) { res.status(404).json({ error: `Could not geocode '${body.address}'` }); return; }
+      center = { lat: g.lat, lng: g.lng };
+      matchedAddress = g.matched;
+      geocoded = { provider: g.provider, score: g.score, lowScore: g.lowScore };
+    }
+
+    let spatial, radiusFt = null, bbox = null;
+    if (body.bbox) {
+      bbox = parseBbox(body.bbox);
+      spatial = { geometry: bbox.join(","), geometryType: "esriGeometryEnvelope" };
+    } else if (center) {
+      const unit = String(body.unit || "ft").toLowerCase();
+      if (!UNIT_TO_FT[unit]) throw new BadRequest("unit must be ft, m or mi");
+      radiusFt = Number(body.radius) * UNIT_TO_FT[unit];
+      if (!(radiusFt > 0)) throw new BadRequest("radius must be a positive number");
+      if (radiusFt > MAX_RADIUS_FT) throw new BadRequest(`radius is limited to ${MAX_RADIUS_FT} ft`);
+      spatial = {
+        geometry: JSON.stringify({ x: center.lng, y: center.lat, spatialReference: { wkid: 4326 } }),
+        geometryType: "esriGeometryPoint",
+        distance: radiusFt,
+        units: "esriSRUnit_Foot",
+      };
+    } else {
+      throw new BadRequest("Provide lat/lng or address with a radius, or a bbox");
+    }
+
+    const params = { ...spatial, inSR: 4326, spatialRel: "esriSpatialRelIntersects" };
+    const { hits, errors, truncated } = await searchLayers(layers, params);
+
+    const matches = hits.map(({ dataset, label, id, feature: f }) => {
+      const dM = center ? distanceMeters(center, f.geometry) : null;
+      const distanceFt = dM === null ? null : Math.round(dM * FT_PER_M * 10) / 10;
+      f.properties = { ...f.properties, _assetId: id, _dataset: dataset, _sourceLabel: label, ...(distanceFt !== null ? { _distanceFt: distanceFt } : {}) };
+      return { dataset, label, f, id, distanceFt };
+    });
+    if (center) matches.sort((a, b) => a.distanceFt - b.distanceFt);
+
+    const format = String(body.format || "json").toLowerCase();
+    if (format !== "json") {
+      if (!matches.length) { res.status(404).json({ error: "No assets found in the search area", errors }); return; }
+      const fc = { type: "FeatureCollection", features: await presentFeatures(matches.map(m => m.f), { raw: body.raw === true }) };
+      sendExport(res, await exportFeatureCollection(fc, format, { baseName: "mapbuddy_nearby" }), "mapbuddy_nearby");
+      return;
+    }
+
+    res.status(200).json({
+      center,
+      matchedAddress,
+      geocoded,
+      radiusFt,
+      bbox,
+      datasets: keys,
+      count: matches.length,
+      truncated,
+      matches: matches.map(({ dataset, label, f, id, distanceFt }) => {
+        const loc = locationOf(f.geometry);
+        return {
+          dataset,
+          sourceLabel: label,
+          id,
+          distanceFt,
+          labelPoint: loc?.labelPoint || null,
+          centroid: loc?.centroid || null,
+          googleMapsUrl: loc ? googleMapsUrl(loc.labelPoint) : null,
+          properties: f.properties,
+        };
+      }),
+      errors,
+    });
+
+  } catch (err) {
+    if (err instanceof BadRequest) { res.status(400).json({ error: err.message }); return; }
+    res.status(500).json({ error: "Nearby search failed", details: String(err?.message || err) });
+  }
+}
+
+export default withUpstreamCache(handler);
@@ -0,0 +1,46 @@
+// api/resolve.js
+// Which datasets does an ID exist in? Probes every registered layer (datasets
+// whose ID pattern matches first) and returns the ranked hits with the matched field.
+
+import { describeCandidates, resolveAcrossDatasets } from "../lib/lookup.js";
+import { withUpstreamCache } from "../lib/cache.js";
+export const config = { runtime: "nodejs" };
+
+const MAX_IDS = 50;
+
+async function readJson(req) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  try { return JSON.parse(raw || "{}"); } catch { return {}; }
+}
+
+async function handler(req, res) {
+  try {
+    let ids, many = false;
+    if (req.method === "GET") {
+      many = Array.isArray(req.query?.id);
+      ids = [req.query?.id].flat();
+    } else if (req.method === "POST") {
+      const body = await readJson(req);
+      many = Array.isArray(body.ids);
+      ids = many ? body.ids : [body.assetId];
+    } else {
+      res.status(405).json({ error: "Use GET ?id=… or POST { assetId } / { ids: [...] }" });
+      return;
+    }
+
+    ids = [...new Set(ids.map(v => String(v ?? "").trim()).filter(Boolean))];
+    if (!ids.length) { res.status(400).json({ error: "assetId is required" }); return; }
+    if (ids.length > MAX_IDS) { res.status(400).json({ error: `At most ${MAX_IDS} IDs per request; use /api/bulk for more` }); return; }
+
+    const ranked = await resolveAcrossDatasets(new Set(ids));
+    const results = ids.map(assetId => ({ assetId, candidates: describeCandidates(ranked.get(assetId)) }));
+    res.status(200).json(many ? { results } : results[0]);
+
+  } catch (err) {
+    res.status(500).json({ error: "Resolve failed", details: String(err?.message || err) });
+  }
+}
+
+export default withUpstreamCache(handler);
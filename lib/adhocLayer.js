@@ -0,0 +1,91 @@
+// lib/adhocLayer.js
+// Ad-hoc layers: convert / locate / bulk take `{ layerUrl, idField }` instead of a
+// dataset key. The URL must be an ArcGIS MapServer / FeatureServer layer on an
+// allowlisted host; its definition supplies the fields and geometry type, and the
+// result is shaped like a registry entry so lib/lookup.js matches it the same way.
+
+import { fetchLayerDefinition } from "./arcgis.js";
+import { DATASETS } from "./datasets.js";
+import { fieldSchemaOf, resolveField } from "./where.js";
+
+// Features from an ad-hoc layer carry this as their `_dataset`
+export const ADHOC_KEY = "custom";
+
+const LAYER_PATH = /^(\/.*\/rest\/services\/.+\/(?:MapServer|FeatureServer)\/\d+)(?:\/query)?$/i;
+const GEOMETRY_KINDS = { esriGeometryPoint: "point", esriGeometryMultipoint: "point", esriGeometryPolyline: "line", esriGeometryPolygon: "polygon" };
+
+// The registry's own hosts, plus MAPBUDDY_LAYER_HOSTS: comma-separated host names,
+// "*.example.gov" for any subdomain. Wildcards such as "*.arcgis.com" (every ArcGIS
+// Online tenant) are opt-in only.
+const registryHosts = () => Object.values(DATASETS)
+  .flatMap(ds => (ds.layers || [ds]).map(l => l.base))
+  .filter(Boolean)
+  .map(u => new URL(u).hostname.toLowerCase());
+const extraHosts = String(process.env.MAPBUDDY_LAYER_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean);
+const LAYER_HOSTS = [...new Set([...registryHosts(), ...extraHosts])];
+
+export const allowedLayerHosts = () => LAYER_HOSTS;
+
+const hostAllowed = (host) => LAYER_HOSTS.some(h => (h.startsWith("*.") ? host.endsWith(h.slice(1)) : host === h));
+
+// ---------- URL ----------
+
+// "https://host/…/rest/services/…/FeatureServer/3[/query][?…]" → { base } or { status, error }
+export function parseLayerUrl(raw) {
+  let u;
+  try { u = new URL(String(raw ?? "").trim()); } catch { return { status: 400, error: "layerUrl is not a valid URL" }; }
+  if (u.protocol !== "https:") return { status: 400, error: "layerUrl must use https" };
+  if (u.username || u.password || u.port) return { status: 400, error: "layerUrl may not carry credentials or a port" };
+  const m = u.pathname.replace(/\/+$/, "").match(LAYER_PATH);
+  if (!m) return { status: 400, error: "layerUrl must be an ArcGIS layer: …/rest/services/…/MapServer/<n> or …/FeatureServer/<n>" };
+  const host = u.hostname.toLowerCase();
+  if (!hostAllowed(host)) return { status: 403, error: `Host '${host}' is not on the layer allowlist` };
+  return { base: `${u.protocol}//${host}${m[1]}` };
+}
+
+// ---------- layer ----------
+
+// layerUrl → { base, info } (a feature layer or table) or { status, error }
+async function readLayer(layerUrl) {
+  const parsed = parseLayerUrl(layerUrl);
+  if (parsed.error) return parsed;
+  const { info, error } = await fetchLayerDefinition(parsed.base);
+  if (!info) return { status: 502, error: `Could not read the layer definition: ${error}` };
+  if (!Array.isArray(info.fields)) return { status: 400, error: `Not a feature layer (${info.type || "no fields"})` };
+  return { base: parsed.base, info };
+}
+
+// For the UI: what the layer is and which fields it has (to pick the id field from).
+export async function describeAdhocLayer(layerUrl) {
+  const layer = await readLayer(layerUrl);
+  if (layer.error) return layer;
+  const { base, info } = layer;
+  return {
+    url: base,
+    name: info.name ?? null,
+    type: info.type ?? null,
+    geometryType: info.geometryType ?? null,
+    maxRecordCount: info.maxRecordCount ?? null,
+    fields: info.fields.map(f => ({ name: f.name, type: f.type, alias: f.alias ?? f.name })),
+  };
+}
+
+// { layerUrl, idField (one, a list or "A,B"), layerName? } → { def } shaped like a registry
+// entry ({ key, label, base, idFields, type }), or { status, error }.
+export async function resolveAdhocLayer({ layerUrl, idField, layerName }) {
+  const names = (Array.isArray(idField) ? idField : String(idField ?? "").split(",")).map(s => String(s).trim()).filter(Boolean);
+  if (!names.length) return { status: 400, error: "idField is required with layerUrl" };
+  const layer = await readLayer(layerUrl);
+  if (layer.error) return layer;
+  const { base, info } = layer;
+
+  const schema = fieldSchemaOf(info);
+  let idFields;
+  try {
+    idFields = names.map(n => resolveField(schema, n).name);
+  } catch (e) {
+    return { status: 400, error: `${e.message}; the layer has ${info.fields.map(f => f.name).join(", ")}` };
+  }
+  const label = String(layerName || "").trim() || info.name || base;
+  return { def: { key: ADHOC_KEY, label, base, idFields, type: GEOMETRY_KINDS[info.geometryType] || null } };
+}
@@ -0,0 +1,120 @@
+// lib/arcgis.js
+// ArcGIS REST `query` helpers: Esri JSON → GeoJSON and paged feature fetches,
+// plus layer definitions (`<layer>?f=json`).
+
+import { cachedRequest } from "./cache.js";
+
+// ---------- geometry ----------
+
+// Shoelace area, positive for counter-clockwise rings
+const signedArea = (ring) => { let a = 0; for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) a += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]; return a / 2; };
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Esri polygon rings → GeoJSON Polygon / MultiPolygon. Esri reads ring winding: each
+// clockwise ring starts a part, each counter-clockwise one is a hole in the smallest
+// part around it. Rings come out in GeoJSON winding (the reverse). Rings with no
+// clockwise one among them are passed through as one polygon.
+function esriRingsToGeoJSON(rings) {
+  const outers = rings.filter(r => signedArea(r) < 0);
+  if (!outers.length) return { type: "Polygon", coordinates: rings };
+  const polys = outers.map(r => [[...r].reverse()]);
+  for (const hole of rings.filter(r => signedArea(r) >= 0)) {
+    let best = -1;
+    outers.forEach((o, i) => {
+      if (ringContains(o, hole[0]) && (best === -1 || -signedArea(o) < -signedArea(outers[best]))) best = i;
+    });
+    polys[best === -1 ? 0 : best].push([...hole].reverse());
+  }
+  return polys.length === 1 ? { type: "Polygon", coordinates: polys[0] } : { type: "MultiPolygon", coordinates: polys };
+}
+
+export function esriToGeoJSONFeature(f) {
+  const a = f.attributes || {};
+  const g = f.geometry || {};
+  let geom = null;
+  if (Array.isArray(g.rings)) {
+    geom = esriRingsToGeoJSON(g.rings);
+  } else if (Array.isArray(g.paths)) {
+    geom = g.paths.length === 1
+      ? { type: "LineString", coordinates: g.paths[0] }
+      : { type: "MultiLineString", coordinates: g.paths };
+  } else if (Array.isArray(g.points)) {
+    geom = { type: "MultiPoint", coordinates: g.points };
+  } else if (typeof g.x === "number" && typeof g.y === "number") {
+    geom = { type: "Point", coordinates: [g.x, g.y] };
+  }
+  return geom ? { type: "Feature", properties: a, geometry: geom } : null;
+}
+
+// ---------- queries ----------
+
+// → { info } or { error, status? }; ArcGIS reports most failures as 200 + { error }.
+export async function fetchLayerDefinition(base) {
+  try {
+    const r = await cachedRequest(base, { f: "json" }, { timeout: 15000 });
+    if (r.status !== 200) return { error: `HTTP ${r.status}`, status: r.status };
+    if (r.data?.error) return { error: r.data.error.message || "ArcGIS error", status: r.data.error.code };
+    if (!r.data || typeof r.data !== "object") return { error: "Not a layer definition" };
+    return { info: r.data };
+  } catch (e) {
+    return { error: String(e?.message || e) };
+  }
+}
+
+export async function fetchArcgisAsGeoJSON(base, where) {
+  const params = { where, outFields: "*", returnGeometry: true, outSR: 4326, f: "json" };
+  const r = await cachedRequest(`${base}/query`, params);
+  if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
+  const data = r.data || {};
+  const arr = Array.isArray(data.features) ? data.features : [];
+  const features = arr.map(esriToGeoJSONFeature).filter(Boolean);
+  return { type: "FeatureCollection", features };
+}
+
+// Polygon filters easily outgrow a URL; ArcGIS accepts the same form as a POST body.
+const MAX_GET_PARAMS = 1800;
+function arcgisQuery(base, q) {
+  const length = new URLSearchParams(Object.entries(q).map(([k, v]) => [k, String(v)])).toString().length;
+  return cachedRequest(`${base}/query`, q, { method: length <= MAX_GET_PARAMS ? "GET" : "POST" });
+}
+
+// GeoJSON Polygon / MultiPolygon → Esri polygon JSON. Esri reads ring winding:
+// outer rings clockwise, holes counter-clockwise (GeoJSON is the reverse).
+export function geoJSONToEsriPolygon(geom) {
+  const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.type === "MultiPolygon" ? geom.coordinates : [];
+  const rings = [];
+  for (const poly of polys) {
+    poly.forEach((ring, i) => {
+      const clockwise = signedArea(ring) < 0;
+      rings.push(clockwise === (i === 0) ? ring : [...ring].reverse());
+    });
+  }
+  return { rings, spatialReference: { wkid: 4326 } };
+}
+
+// Every feature matching `params` (where / geometry / spatialRel …), following
+// exceededTransferLimit with resultOffset, up to `max` features.
+// → { features: GeoJSON[], truncated }
+export async function queryAllAsGeoJSON(base, params, max = 2000) {
+  const features = [];
+  for (let offset = 0; ; ) {
+    const q = { where: "1=1", outFields: "*", returnGeometry: true, outSR: 4326, f: "json", ...params };
+    if (offset) q.resultOffset = offset;
+    const r = await arcgisQuery(base, q);
+    if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
+    if (r.data?.error) throw new Error(`ArcGIS error: ${r.data.error.message || r.data.error.code}`);
+    const arr = Array.isArray(r.data?.features) ? r.data.features : [];
+    features.push(...arr.map(esriToGeoJSONFeature).filter(Boolean));
+    if (features.length >= max) return { features: features.slice(0, max), truncated: true };
+    if (!r.data?.exceededTransferLimit || !arr.length) return { features, truncated: false };
+    offset += arr.length;
+  }
+}
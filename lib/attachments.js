@@ -0,0 +1,124 @@
+// lib/attachments.js
+// Feature attachments (site photos, as-built PDFs, inspection forms) for convert and
+// bulk `includeAttachments`. Layers whose definition has `hasAttachments` are asked
+// for each matched feature's attachment list (`queryAttachments`, or
+// `<oid>/attachments` on servers without it) while the features still carry their
+// OBJECTIDs; the files are downloaded when the zip is packed, into
+// <assetId>/attachments/, until MAPBUDDY_ATTACHMENT_MAX_MB (default 50) is used up.
+
+import { cachedRequest } from "./cache.js";
+import { upstreamDownload } from "./transport.js";
+import { fetchLayerDefinition } from "./arcgis.js";
+import { findKey, layerDef } from "./attributes.js";
+import { MAX_CONCURRENCY, createLimiter } from "./lookup.js";
+
+export const MAX_ATTACHMENT_BYTES = (Number(process.env.MAPBUDDY_ATTACHMENT_MAX_MB) || 50) * 1024 * 1024;
+const OID_BATCH = 100;
+
+// ---------- listing ----------
+
+async function arcgisJson(url, params) {
+  const r = await cachedRequest(url, params);
+  if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
+  if (r.data?.error) throw new Error(`ArcGIS error: ${r.data.error.message || r.data.error.code}`);
+  return r.data || {};
+}
+
+// One layer, many OBJECTIDs → Map(objectId → [attachment info]). Older MapServers
+// have no queryAttachments; they are asked feature by feature instead.
+async function attachmentInfos(base, oids, limit) {
+  const out = new Map();
+  try {
+    for (let i = 0; i < oids.length; i += OID_BATCH) {
+      const data = await limit(() => arcgisJson(`${base}/queryAttachments`, { objectIds: oids.slice(i, i + OID_BATCH).join(","), f: "json" }));
+      for (const g of data.attachmentGroups || []) out.set(String(g.parentObjectId), g.attachmentInfos || []);
+    }
+    return out;
+  } catch { /* fall through */ }
+  await Promise.all(oids.map(oid => limit(async () => {
+    out.set(oid, (await arcgisJson(`${base}/${oid}/attachments`, { f: "json" })).attachmentInfos || []);
+  })));
+  return out;
+}
+
+// Features (as found, before presentFeatures()) → one entry per feature, in order:
+// null when its layer has no attachments, else { attachments: [{ id, name, size,
+// contentType, url }] } or { error }. Download URLs are built from the layer, never
+// taken from the server's answer.
+export async function listAttachments(features, { layer = null, limit = createLimiter(MAX_CONCURRENCY) } = {}) {
+  const out = features.map(() => null);
+  const byBase = new Map(); // layer base → [index]
+  features.forEach((f, i) => {
+    const def = layer && f?.properties?._dataset === layer.key ? layer : layerDef(f?.properties);
+    if (!def?.base) return;
+    if (!byBase.has(def.base)) byBase.set(def.base, []);
+    byBase.get(def.base).push(i);
+  });
+
+  await Promise.all([...byBase].map(async ([base, idx]) => {
+    const { info } = await limit(() => fetchLayerDefinition(base));
+    if (!info?.hasAttachments) return;
+    const oidField = info.objectIdField || info.fields?.find(f => f.type === "esriFieldTypeOID")?.name || "OBJECTID";
+    const oidOf = (i) => { const p = features[i].properties; const k = findKey(p, oidField); return k === undefined ? null : p[k]; };
+    const oids = [...new Set(idx.map(oidOf).filter(v => v !== null && v !== undefined).map(String))];
+    try {
+      const infos = await attachmentInfos(base, oids, limit);
+      for (const i of idx) {
+        const oid = String(oidOf(i));
+        out[i] = { attachments: (infos.get(oid) || []).map(a => ({ id: a.id, name: a.name || `attachment_${a.id}`, size: a.size ?? null, contentType: a.contentType || null, url: `${base}/${oid}/attachments/${a.id}` })) };
+      }
+    } catch (e) {
+      for (const i of idx) out[i] = { error: String(e?.message || e) };
+    }
+  }));
+  return out;
+}
+
+// ---------- downloading ----------
+
+const safeName = (s) => String(s).replace(/[^\w.\-]+/g, "_");
+
+// Items { assetId, attachments?, attachmentsError? } → { files: [[zip path, Buffer]], skipped,
+// listing: Map(item → "photo.jpg (48213 bytes); plan.pdf (2203111 bytes, skipped: size cap)") }.
+// Downloads run one at a time so the cap holds; once it is used up the rest are listed as skipped.
+// maxFiles caps the number of downloads the same way (bulk jobs pack in one poll).
+// A feature several rows matched is downloaded once, into the first row's folder.
+export async function downloadAttachments(items, { maxBytes = MAX_ATTACHMENT_BYTES, maxFiles = Infinity } = {}) {
+  const files = [], listing = new Map();
+  const done = new Map(); // url → listing entry
+  const paths = new Set();
+  let used = 0, skipped = 0;
+  const skip = (entry) => { skipped++; return entry; };
+
+  const fetchOne = async (a, assetId) => {
+    if (files.length >= maxFiles) return skip(`${a.name} (skipped: file cap)`);
+    if (a.size != null && used + a.size > maxBytes) return skip(`${a.name} (${a.size} bytes, skipped: size cap)`);
+    let r;
+    try {
+      r = await upstreamDownload(a.url, { maxBytes: maxBytes - used });
+    } catch (e) {
+      return skip(`${a.name} (download failed: ${e?.message || e})`);
+    }
+    if (r.status !== 200) return skip(`${a.name} (download failed: ${r.status})`);
+    if (used + r.data.length > maxBytes) return skip(`${a.name} (${r.data.length} bytes, skipped: size cap)`);
+    used += r.data.length;
+    const folder = `${safeName(assetId)}/attachments/`;
+    let file = `${folder}${safeName(a.name)}`;
+    if (paths.has(file)) file = `${folder}${a.id}_${safeName(a.name)}`;
+    paths.add(file);
+    files.push([file, r.data]);
+    return `${a.name} (${r.data.length} bytes)`;
+  };
+
+  for (const it of items) {
+    if (it.attachmentsError) { listing.set(it, `error: ${it.attachmentsError}`); continue; }
+    if (!it.attachments?.length) continue;
+    const entries = [];
+    for (const a of it.attachments) {
+      if (!done.has(a.url)) done.set(a.url, await fetchOne(a, it.assetId));
+      entries.push(done.get(a.url));
+    }
+    listing.set(it, entries.join("; "));
+  }
+  return { files, listing, skipped };
+}
@@ -0,0 +1,114 @@
+// lib/attributes.js
+// Attribute output: coded values (domains, subtypes) become their descriptions
+// and epoch-millisecond dates ISO strings, using each layer's metadata
+// (`<layer>?f=json`, cached like any query). A registry `fields` list then picks,
+// orders and renames the attributes. `raw` leaves the ArcGIS values as they are.
+
+import { fetchLayerDefinition } from "./arcgis.js";
+import { DATASETS } from "./datasets.js";
+
+// ---------- registry lookups ----------
+
+// The registry entry a feature came from: the Montgomery inner layer by label, else the dataset.
+export function layerDef(props = {}) {
+  const ds = DATASETS[props._dataset];
+  if (!ds) return null;
+  return ds.layers ? ds.layers.find(l => l.label === props._sourceLabel) || null : ds;
+}
+
+const fieldSpecs = (def) => (def?.fields || []).map(f => (typeof f === "string" ? { name: f, alias: f } : { alias: f.name, ...f }));
+
+// Output name of a layer field (its alias when the registry renames it), e.g. for KMZ label fields.
+export function outputFieldName(props, field) {
+  const spec = fieldSpecs(layerDef(props)).find(f => f.name.toUpperCase() === String(field).toUpperCase());
+  return spec ? spec.alias : field;
+}
+
+// ---------- layer metadata ----------
+
+const codedMap = (domain) => (domain?.type === "codedValue" && Array.isArray(domain.codedValues)
+  ? new Map(domain.codedValues.map(c => [String(c.code), c.name]))
+  : null);
+
+// Layer JSON → { dateFields, domains: field → Map(code → name), typeField, types: code → { name, domains } }
+function parseLayerInfo(info) {
+  const dateFields = new Set(), domains = new Map();
+  for (const f of info.fields || []) {
+    if (f.type === "esriFieldTypeDate") dateFields.add(f.name);
+    const m = codedMap(f.domain);
+    if (m) domains.set(f.name, m);
+  }
+  // Classic feature types (typeIdField / types) or the newer subtypes
+  const typeField = info.typeIdField || info.subtypeField || null;
+  const types = new Map();
+  for (const t of info.types || info.subtypes || []) {
+    const tDomains = new Map();
+    for (const [field, d] of Object.entries(t.domains || {})) {
+      const m = codedMap(d);
+      if (m) tDomains.set(field, m);
+    }
+    types.set(String(t.id ?? t.code), { name: t.name, domains: tDomains });
+  }
+  return { dateFields, domains, typeField, types };
+}
+
+// Metadata that can't be read just means the values stay raw.
+async function fetchLayerInfo(base) {
+  const { info } = await fetchLayerDefinition(base);
+  return Array.isArray(info?.fields) ? parseLayerInfo(info) : null;
+}
+
+// ---------- presentation ----------
+
+// The props key matching a field name in any case (ArcGIS field names are case-insensitive).
+export const findKey = (props, name) => Object.keys(props).find(k => k.toUpperCase() === name.toUpperCase());
+
+function decodeProps(props, info) {
+  const out = { ...props };
+  const typeKey = info.typeField && findKey(props, info.typeField);
+  const type = typeKey !== undefined ? info.types.get(String(props[typeKey])) : null;
+  for (const [k, v] of Object.entries(props)) {
+    if (k.startsWith("_") || v === null || v === undefined) continue;
+    if (info.dateFields.has(k) && typeof v === "number") { out[k] = new Date(v).toISOString(); continue; }
+    if (type && k === typeKey) { out[k] = type.name; continue; }
+    // A type's own domain wins over the field's (a missing entry there means "inherited")
+    const m = type?.domains.get(k) || info.domains.get(k);
+    if (m?.has(String(v))) out[k] = m.get(String(v));
+  }
+  return out;
+}
+
+// Listed fields first, in order, under their aliases; our own `_` properties ride along.
+function curateProps(props, specs) {
+  const out = {};
+  for (const { name, alias } of specs) {
+    const k = findKey(props, name);
+    if (k !== undefined) out[alias] = props[k];
+  }
+  for (const [k, v] of Object.entries(props)) if (k.startsWith("_")) out[k] = v;
+  return out;
+}
+
+// Features (as found: outFields=*) → the same features with decoded, curated
+// properties. Geocoded points and unregistered layers pass through unchanged;
+// an ad-hoc `layer` (lib/adhocLayer.js) is decoded too (it has no `fields` list).
+export async function presentFeatures(features, { raw = false, layer = null } = {}) {
+  if (raw) return features;
+  const infos = new Map(); // layer base → Promise<info | null>, one metadata request per layer
+  return Promise.all(features.map(async (f) => {
+    const def = layer && f?.properties?._dataset === layer.key ? layer : layerDef(f?.properties);
+    if (!def?.base) return f;
+    if (!infos.has(def.base)) infos.set(def.base, fetchLayerInfo(def.base));
+    const info = await infos.get(def.base);
+    let props = info ? decodeProps(f.properties, info) : f.properties;
+    if (def.fields) props = curateProps(props, fieldSpecs(def));
+    return { ...f, properties: props };
+  }));
+}
+
+// Plain attribute rows (related-table records, lib/related.js) decoded with that table's metadata.
+export async function presentRows(rows, base, { raw = false } = {}) {
+  if (raw || !rows.length) return rows;
+  const info = await fetchLayerInfo(base);
+  return info ? rows.map(r => decodeProps(r, info)) : rows;
+}
@@ -0,0 +1,38 @@
+// lib/boundary.js
+// Uploaded site boundary (KML, GeoJSON or zipped shapefile) → WGS84 polygons,
+// parsed with mapshaper. Shapefiles in state plane etc. are reprojected from their .prj.
+
+import { getMapshaperApply } from "./export.js";
+
+const MAX_VERTICES = 20000;
+
+const INPUT_EXT = { kml: "kml", geojson: "json", json: "json", zip: "zip" };
+
+// → { features: GeoJSON polygon Feature[], geometry: MultiPolygon of them all }
+// Throws with a user-facing message when the file can't be used.
+export async function parseBoundary(filename, buffer) {
+  const ext = INPUT_EXT[String(filename || "").toLowerCase().split(".").pop()];
+  if (!ext) throw new Error("Boundary must be a .kml, .geojson/.json or zipped shapefile (.zip)");
+  if (!buffer?.length) throw new Error("Boundary file is empty");
+
+  const msApply = await getMapshaperApply();
+  if (!msApply) throw new Error("Mapshaper API not available");
+
+  let outputs;
+  try {
+    outputs = await msApply(`-i in.${ext} -proj wgs84 -o out.json format=geojson geojson-type=FeatureCollection combine-layers`, { [`in.${ext}`]: buffer });
+  } catch (err) {
+    throw new Error("Could not read boundary: " + (err.message || err));
+  }
+  if (!outputs["out.json"]) throw new Error("Could not read boundary: no features found");
+
+  const fc = JSON.parse(String(outputs["out.json"]));
+  const features = (fc.features || []).filter(f => f.geometry && (f.geometry.type === "Polygon" || f.geometry.type === "MultiPolygon"));
+  if (!features.length) throw new Error("Boundary contains no polygons");
+
+  const coordinates = features.flatMap(f => f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates);
+  const vertices = coordinates.flat(2).length;
+  if (vertices > MAX_VERTICES) throw new Error(`Boundary is too detailed (${vertices} vertices, limit ${MAX_VERTICES}); simplify it first`);
+
+  return { features, geometry: { type: "MultiPolygon", coordinates } };
+}
@@ -0,0 +1,292 @@
+// lib/bulk.js
+// Bulk pipeline shared by /api/bulk (one request) and /api/bulk/jobs (resumable):
+// resolve one item at a time into a record, then pack records into a zip.
+
+import AdmZip from "adm-zip";
+import { DATASETS, TMDL_ANY, resolveDatasetKey } from "./datasets.js";
+import { MAX_CONCURRENCY, createLimiter, lookupDataset, resolveAcrossDatasets } from "./lookup.js";
+import { buildFieldSheetsPdf } from "./pdf.js";
+import { geocodeAddress, geocodedFeature, looksLikeAddress } from "./geocode.js";
+import { googleMapsUrl, labelPoint } from "./geometry.js";
+import { getMapshaperApply, geojsonInSrs, kmlLabelPoints, withLabelPoints, withRelatedDescriptions, withoutRelated } from "./export.js";
+import { buildDxfFiles } from "./dxf.js";
+import { buildGpkg } from "./gpkg.js";
+import { buildGpx } from "./gpx.js";
+import { buildKmz } from "./kmz.js";
+import { presentFeatures } from "./attributes.js";
+import { attachRelated } from "./related.js";
+import { downloadAttachments, listAttachments } from "./attachments.js";
+import { escXml } from "./xml.js";
+
+// ---------- helpers ----------
+
+async function getApply() {
+  const apply = await getMapshaperApply();
+  if (!apply) throw new Error("Mapshaper API not available (applyCommands missing)");
+  return apply;
+}
+
+const sanitizeName = (s) => String(s).replace(/[^\w\-]+/g, "_");
+
+// ---------- converters ----------
+
+async function featureToKmlBuffer(feature) {
+  const apply = await getApply();
+  const files = { "in.json": JSON.stringify(withLabelPoints(withRelatedDescriptions({ type: "FeatureCollection", features: [feature] }))) };
+  const out = await apply("-i in.json -o out.kml format=kml", files);
+  return Buffer.from(kmlLabelPoints(String(out["out.kml"])), "utf8");
+}
+
+async function featureToShapefileParts(feature, outBase, srs = 4326) {
+  const apply = await getApply();
+  const files = { "in.json": JSON.stringify(withoutRelated({ type: "FeatureCollection", features: [feature] })) };
+  const proj = srs !== 4326 ? ` -proj EPSG:${srs}` : "";
+  const out = await apply(`-i in.json${proj} -o out.shp format=shapefile`, files);
+  const parts = [];
+  for (const [name, content] of Object.entries(out)) {
+    const renamed = name.replace(/^out(\.|$)/, `${outBase}$1`);
+    parts.push([renamed, Buffer.from(content)]);
+  }
+  return parts;
+}
+
+// One KML document, one <Folder> per dataset, one <Placemark> per asset
+async function featuresToMergedKml(results) {
+  const apply = await getApply();
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.datasetKey)) groups.set(r.datasetKey, []);
+    // mapshaper turns a `name` property into the placemark <name>
+    groups.get(r.datasetKey).push({ ...r.feature, properties: { name: r.assetId, ...r.feature.properties } });
+  }
+
+  const folders = [];
+  for (const [key, feats] of groups) {
+    const files = { "in.json": JSON.stringify(withLabelPoints(withRelatedDescriptions({ type: "FeatureCollection", features: feats }))) };
+    const out = await apply("-i in.json -o out.kml format=kml", files);
+    const kml = kmlLabelPoints(String(out["out.kml"]));
+    const m = kml.match(/<Document>([\s\S]*)<\/Document>/);
+    const label = DATASETS[key]?.label || key || "Geocoded addresses";
+    folders.push(`<Folder><name>${escXml(label)}</name>${m ? m[1] : ""}</Folder>`);
+  }
+
+  const doc = `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>MapBuddy bulk export</name>\n${folders.join("\n")}\n</Document></kml>`;
+  return Buffer.from(doc, "utf8");
+}
+
+async function featuresToMergedGeoJSON(results, srs) {
+  const fc = { type: "FeatureCollection", features: results.map(r => r.feature) };
+  return Buffer.from(await geojsonInSrs(fc, srs));
+}
+
+// ---------- pipeline ----------
+
+// GPS units want a single file, so "gpxzip" is one merged GPX as well.
+export const MERGED_FORMATS = ["kml", "kmz", "gpx", "gpxzip", "dxf", "gpkg", "geojson", "pdf"];
+
+export function normalizeDefaultDataset(input) {
+  return input ? (resolveDatasetKey(input) || input) : input;
+}
+
+// Row dataset, else the run default; null (or "auto") → auto-detect per ID.
+export function itemDataset(it, defDataset) {
+  const key = it.dataset ? (resolveDatasetKey(it.dataset) || it.dataset) : defDataset;
+  return key && key !== "auto" ? key : null;
+}
+
+// One bulk record for a looked-up (or, for intersect, spatially found) feature.
+export function makeRecord(assetId, datasetKey, found, matchedField) {
+  if (!found) return { assetId, dataset: datasetKey, status: "not found" };
+
+  // Copy: the same feature may answer several rows.
+  const props = { ...found.properties, _assetId: assetId, _dataset: datasetKey, _status: "ok" };
+  if (matchedField) props._matchedField = matchedField;
+  const feature = { ...found, properties: props };
+
+  // lat / lng (and the links CSV) use the label point, which is always on the feature
+  const c = labelPoint(feature.geometry);
+  if (c) {
+    return { assetId, dataset: datasetKey, status: "ok", lat: c.lat, lng: c.lng, googleMapsUrl: googleMapsUrl(c), feature };
+  }
+  return { assetId, dataset: datasetKey, status: "ok (no location)", feature };
+}
+
+// Address rows no layer matched: the best locator candidate as a point.
+function geocodedRecord(assetId, datasetKey, g) {
+  const rec = makeRecord(assetId, datasetKey, geocodedFeature(g));
+  const status = g.lowScore ? "geocoded (low score)" : "geocoded";
+  rec.feature.properties._status = status;
+  return { ...rec, status, geocodeScore: g.score, matchedAddress: g.matched };
+}
+
+// CSV items → records { assetId, dataset, status, lat, lng, googleMapsUrl, feature }
+// in item order (blank rows dropped). Lookup misses become "not found" records.
+// Rows with no dataset (and no default) are auto-detected, so one CSV can mix
+// Fairfax, TMDL and Montgomery IDs; such a row takes its best-ranked dataset.
+// Misses that look like street addresses go to the dataset's geocoders (all of
+// them for auto-detect rows) and come back "geocoded" / "geocoded (low score)".
+// Feature attributes are decoded and curated (lib/attributes.js) unless `raw`.
+// With an ad-hoc `layer` (lib/adhocLayer.js) every row is looked up in that layer.
+// `includeRelated` attaches each feature's related records (lib/related.js),
+// `includeAttachments` lists its attachments for buildBulkZip (lib/attachments.js).
+export async function resolveBulkItems(items, defDataset, { raw = false, layer = null, includeRelated = false, includeAttachments = false } = {}) {
+  const rows = [];
+  for (const it of items) {
+    const assetId = String(it.assetId || "").trim();
+    if (assetId) rows.push({ assetId, datasetKey: layer ? layer.key : itemDataset(it, defDataset) });
+  }
+  const defFor = (key) => (layer && key === layer.key ? layer : DATASETS[key]);
+
+  const groups = new Map(); // datasetKey | "auto" | "mdsha_tmdl_any" → Set(assetId)
+  for (const r of rows) {
+    const g = r.datasetKey || "auto";
+    if (g !== "auto" && g !== "mdsha_tmdl_any" && !defFor(g)) continue;
+    if (!groups.has(g)) groups.set(g, new Set());
+    groups.get(g).add(r.assetId);
+  }
+
+  const limit = createLimiter(MAX_CONCURRENCY);
+  const results = new Map(); // group → Map(assetId → { dataset, feature, field })
+  await Promise.all([...groups].map(async ([key, ids]) => {
+    if (defFor(key)) {
+      const found = await lookupDataset(key, ids, limit, defFor(key));
+      results.set(key, new Map([...found].map(([id, hit]) => [id, { dataset: key, ...hit }])));
+      return;
+    }
+    const ranked = await resolveAcrossDatasets(ids, { datasets: key === "auto" ? undefined : TMDL_ANY, exhaustive: false, limit });
+    results.set(key, new Map([...ranked].filter(([, list]) => list.length).map(([id, list]) => [id, list[0]])));
+  }));
+
+  const records = rows.map(({ assetId, datasetKey }) => {
+    const g = datasetKey || "auto";
+    if (!results.has(g)) return { assetId, dataset: datasetKey || "", status: "unknown dataset" };
+    const hit = results.get(g).get(assetId);
+    if (!hit) return makeRecord(assetId, g === "auto" ? "" : g, null);
+    const rec = makeRecord(assetId, hit.dataset, hit.feature, hit.field);
+    if (hit.layer) rec.feature.properties._sourceLabel = hit.layer; // KMZ picks Montgomery's per-layer style by it
+    return rec;
+  });
+
+  await Promise.all(records.map(async (rec, i) => {
+    if (rec.status !== "not found" || !looksLikeAddress(rec.assetId)) return;
+    const [g] = await limit(() => geocodeAddress(rec.assetId, { dataset: rows[i].datasetKey || undefined, max: 1 }));
+    if (g) records[i] = geocodedRecord(rec.assetId, rec.dataset, g);
+  }));
+  return presentRecords(records, { raw, layer, includeRelated, includeAttachments });
+}
+
+// Decodes / curates the records' feature attributes in place (intersect builds its own
+// records), after attaching related records and listing attachments (`attachments` /
+// `attachmentsError` on the record) when asked.
+export async function presentRecords(records, { raw = false, layer = null, includeRelated = false, includeAttachments = false } = {}) {
+  const withFeature = records.filter(r => r.feature);
+  if (includeRelated) await attachRelated(withFeature.map(r => r.feature), { raw, layer });
+  if (includeAttachments) {
+    const lists = await listAttachments(withFeature.map(r => r.feature), { layer });
+    withFeature.forEach((r, i) => {
+      if (lists[i]?.error) r.attachmentsError = lists[i].error;
+      else if (lists[i]) r.attachments = lists[i].attachments;
+    });
+  }
+  const presented = await presentFeatures(withFeature.map(r => r.feature), { raw, layer });
+  withFeature.forEach((r, i) => { r.feature = presented[i]; });
+  return records;
+}
+
+// Rows of strings → CSV text (quoted where needed)
+export function csvText(rows) {
+  return rows.map(r => r.map(v => /[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : v).join(",")).join("\n");
+}
+
+// Related records (`_related`) of every record → one related_<relationship>.csv each,
+// a row per related record prefixed with the asset it belongs to.
+function relatedCsvFiles(records) {
+  const tables = new Map(); // relationship name → [{ assetId, dataset, row }]
+  for (const r of records) {
+    for (const [name, rows] of Object.entries(r.feature?.properties?._related || {})) {
+      if (!tables.has(name)) tables.set(name, []);
+      for (const row of rows) tables.get(name).push({ assetId: r.assetId, dataset: r.dataset, row });
+    }
+  }
+  return [...tables].map(([name, list]) => {
+    const cols = [...new Set(list.flatMap(x => Object.keys(x.row)))];
+    const rows = list.map(x => [x.assetId, x.dataset, ...cols.map(c => (x.row[c] === null || x.row[c] === undefined ? "" : String(x.row[c])))]);
+    return [`related_${sanitizeName(name)}.csv`, Buffer.from(csvText([["assetId", "dataset", ...cols], ...rows]), "utf8")];
+  });
+}
+
+export function bulkZipName(format) {
+  return format === "geojsonzip" ? "mapbuddy_geojson.zip" :
+         format === "shpzip"     ? "mapbuddy_shapefile.zip" :
+         format === "kml"        ? "mapbuddy_merged_kml.zip" :
+         format === "kmz"        ? "mapbuddy_merged_kmz.zip" :
+         format === "gpx" || format === "gpxzip" ? "mapbuddy_gpx.zip" :
+         format === "dxf"        ? "mapbuddy_dxf.zip" :
+         format === "gpkg"       ? "mapbuddy_gpkg.zip" :
+         format === "geojson"    ? "mapbuddy_merged_geojson.zip" :
+         format === "pdf"        ? "mapbuddy_field_sheets.zip" :
+                                   "mapbuddy_kml.zip";
+}
+
+// records → { buffer, successCount } (buffer is null when nothing was found).
+// extraFiles: [[name, Buffer]] added alongside mapbuddy_links.csv.
+// srs: EPSG code for the GeoJSON / Shapefile formats (lib/export.js OUTPUT_SRS).
+// Records with listed attachments get them downloaded into <assetId>/attachments/
+// and an `attachments` column (names and sizes) in mapbuddy_links.csv; maxAttachments
+// caps how many are downloaded.
+export async function buildBulkZip(records, format, extraFiles = [], { srs = 4326, maxAttachments = Infinity } = {}) {
+  const zip = new AdmZip();
+  const withAttachments = records.some(r => r.attachments || r.attachmentsError);
+  const { files: attachmentFiles, listing } = withAttachments ? await downloadAttachments(records, { maxFiles: maxAttachments }) : { files: [], listing: new Map() };
+  const linkRows = [["assetId", "dataset", "lat", "lng", "googleMapsUrl", "status", "geocodeScore", "matchedAddress", ...(withAttachments ? ["attachments"] : [])]];
+  const merged = MERGED_FORMATS.includes(format);
+  const results = [];
+  let successCount = 0;
+
+  for (const r of records) {
+    const row = [r.assetId, r.dataset, r.lat != null ? String(r.lat) : "", r.lng != null ? String(r.lng) : "", r.googleMapsUrl || "", r.status,
+      r.geocodeScore != null ? String(r.geocodeScore) : "", r.matchedAddress || "", ...(withAttachments ? [listing.get(r) || ""] : [])];
+    linkRows.push(row);
+    if (!r.feature) continue;
+
+    if (merged) {
+      results.push({ assetId: r.assetId, datasetKey: r.dataset, feature: r.feature });
+      successCount++;
+      continue;
+    }
+
+    const base = sanitizeName(r.assetId);
+    try {
+      if (format === "geojsonzip") {
+        zip.addFile(`${base}.geojson`, Buffer.from(srs === 4326 ? JSON.stringify(r.feature) : await geojsonInSrs({ type: "FeatureCollection", features: [r.feature] }, srs)));
+      } else if (format === "shpzip") {
+        const parts = await featureToShapefileParts(r.feature, base, srs);
+        for (const [name, buf] of parts) zip.addFile(name, buf);
+      } else {
+        zip.addFile(`${base}.kml`, await featureToKmlBuffer(r.feature));
+      }
+      successCount++;
+    } catch (e) {
+      // Same row, new status: no file for this asset in the zip.
+      row.splice(2, 4, "", "", "", "conversion error");
+    }
+  }
+
+  if (!successCount) return { buffer: null, successCount };
+
+  if (merged) {
+    if (format === "kml") zip.addFile("mapbuddy.kml", await featuresToMergedKml(results));
+    else if (format === "kmz") zip.addFile("mapbuddy.kmz", buildKmz(results.map(r => r.feature), { name: "MapBuddy bulk export", folders: true }));
+    else if (format === "gpx" || format === "gpxzip") zip.addFile("mapbuddy.gpx", buildGpx(results.map(r => r.feature), { name: "MapBuddy bulk export" }));
+    else if (format === "gpkg") zip.addFile("mapbuddy.gpkg", await buildGpkg(results.map(r => r.feature), { links: linkRows }));
+    else if (format === "dxf") for (const [name, buf] of await buildDxfFiles(results.map(r => r.feature))) zip.addFile(name, buf);
+    else if (format === "pdf") zip.addFile("mapbuddy_field_sheets.pdf", await buildFieldSheetsPdf(results.map(r => ({ assetId: r.assetId, label: DATASETS[r.datasetKey]?.label, feature: r.feature }))));
+    else zip.addFile("mapbuddy.geojson", await featuresToMergedGeoJSON(results, srs));
+  }
+
+  zip.addFile("mapbuddy_links.csv", Buffer.from(csvText(linkRows), "utf8"));
+  for (const [name, buf] of relatedCsvFiles(records)) zip.addFile(name, buf);
+  for (const [name, buf] of attachmentFiles) zip.addFile(name, buf);
+  for (const [name, buf] of extraFiles) zip.addFile(name, buf);
+  return { buffer: zip.toBuffer(), successCount };
+}
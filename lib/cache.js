@@ -0,0 +1,135 @@
+// lib/cache.js
+// Cache for upstream requests (ArcGIS queries, the Montgomery geocoder), keyed by
+// URL + normalized params (where clause whitespace-collapsed, keys sorted).
+//
+// Backends share one shape, { get(key), set(key, value, ttlMs) }:
+//   MAPBUDDY_CACHE=memory (default) in-process LRU, MAPBUDDY_CACHE_MAX entries (500)
+//   MAPBUDDY_CACHE=fs      JSON files under MAPBUDDY_CACHE_DIR (default: OS temp dir), for local runs
+//   MAPBUDDY_CACHE=off     no caching
+// MAPBUDDY_CACHE_TTL sets the lifetime in seconds (default 600; 0 stores nothing). setCacheBackend()
+// plugs in anything else with the same shape (e.g. a shared KV store).
+// Misses go out through lib/transport.js (live, record, replay or the local stand-in).
+//
+// Handlers wrapped in withUpstreamCache() skip cache reads on ?fresh=1 (responses
+// are still stored) and report X-MapBuddy-Cache: HIT | MISS | PARTIAL | BYPASS.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { requestKey, upstreamRequest } from "./transport.js";
+
+// Seconds → ms; the default only when unset, and a typo fails loudly instead of meaning 600.
+export function parseCacheTtl(raw) {
+  if (raw === undefined || String(raw).trim() === "") return 600 * 1000;
+  const s = Number(raw);
+  if (!Number.isFinite(s) || s < 0) throw new Error(`MAPBUDDY_CACHE_TTL must be a number of seconds, 0 or more (got '${raw}')`);
+  return s * 1000;
+}
+
+const TTL_MS = parseCacheTtl(process.env.MAPBUDDY_CACHE_TTL);
+const MAX_ENTRIES = Number(process.env.MAPBUDDY_CACHE_MAX) || 500;
+const CACHE_DIR = process.env.MAPBUDDY_CACHE_DIR || path.join(os.tmpdir(), "mapbuddy-cache");
+
+// ---------- backends ----------
+
+// Values are stored serialized so callers can't mutate what later hits return.
+export function memoryBackend(max = MAX_ENTRIES) {
+  const map = new Map(); // key → { expires, json }; Map order = LRU order
+  return {
+    async get(key) {
+      const e = map.get(key);
+      if (!e) return undefined;
+      map.delete(key);
+      if (e.expires < Date.now()) return undefined;
+      map.set(key, e);
+      return JSON.parse(e.json);
+    },
+    async set(key, value, ttlMs) {
+      map.delete(key);
+      map.set(key, { expires: Date.now() + ttlMs, json: JSON.stringify(value) });
+      while (map.size > max) map.delete(map.keys().next().value);
+    },
+  };
+}
+
+export function fsBackend(dir = CACHE_DIR) {
+  const file = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+  return {
+    async get(key) {
+      try {
+        const e = JSON.parse(await fs.readFile(file(key), "utf8"));
+        if (e.expires >= Date.now()) return e.value;
+        await fs.unlink(file(key)).catch(() => {});
+      } catch { /* miss */ }
+      return undefined;
+    },
+    async set(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, expires: Date.now() + ttlMs, value }));
+      await fs.rename(tmp, file(key));
+    },
+  };
+}
+
+function defaultBackend() {
+  const kind = String(process.env.MAPBUDDY_CACHE || "memory").toLowerCase();
+  if (kind === "off") return null;
+  if (kind === "fs") return fsBackend();
+  return memoryBackend();
+}
+
+let backend = defaultBackend();
+export function setCacheBackend(b) { backend = b; }
+
+// ---------- requests ----------
+
+const scope = new AsyncLocalStorage();
+
+// GET (or form-encoded POST) → { status, data }. Only 200s without an ArcGIS
+// `error` body are cached; upstream failures are always retried next time.
+export async function cachedRequest(url, params = {}, { method = "GET", timeout = 20000 } = {}) {
+  const ctx = scope.getStore();
+  const key = requestKey(url, params);
+
+  if (backend && !ctx?.fresh) {
+    const hit = await backend.get(key).catch(() => undefined);
+    if (hit) { if (ctx) ctx.hits++; return hit; }
+  }
+  if (ctx) ctx.misses++;
+
+  const out = await upstreamRequest(url, params, { method, timeout });
+  if (backend && TTL_MS > 0 && out.status === 200 && !out.data?.error) await backend.set(key, out, TTL_MS).catch(() => {});
+  return out;
+}
+
+// ---------- handler wrapper ----------
+
+function wantsFresh(req) {
+  const q = req.query?.fresh ?? new URL(req.url || "/", "http://x").searchParams.get("fresh");
+  return ["1", "true"].includes(String(q)) || /no-cache/i.test(req.headers?.["cache-control"] || "");
+}
+
+export function withUpstreamCache(handler) {
+  return (req, res) => {
+    const ctx = { fresh: wantsFresh(req), hits: 0, misses: 0 };
+    let stamped = false;
+    const stamp = () => {
+      if (stamped || res.headersSent) return;
+      stamped = true;
+      const total = ctx.hits + ctx.misses;
+      if (!total) return;
+      const state = ctx.fresh ? "BYPASS" : !ctx.misses ? "HIT" : !ctx.hits ? "MISS" : "PARTIAL";
+      res.setHeader("X-MapBuddy-Cache", state);
+      res.setHeader("X-MapBuddy-Cache-Hits", `${ctx.hits}/${total}`);
+    };
+    for (const m of ["json", "send", "end"]) {
+      if (typeof res[m] !== "function") continue;
+      const orig = res[m].bind(res);
+      res[m] = (...args) => { stamp(); return orig(...args); };
+    }
+    return scope.run(ctx, () => handler(req, res));
+  };
+}
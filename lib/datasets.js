@@ -0,0 +1,252 @@
+// lib/datasets.js
+// Shared dataset registry — the one place convert / locate / bulk / datasets
+// learn which ArcGIS layer backs a dataset key and which fields hold its IDs.
+
+const TMDL_BASE = "https://maps.roads.maryland.gov/arcgis/rest/services/BayRestoration/TMDLBayRestorationViewer_Maryland_MDOTSHA/FeatureServer";
+const TMDL_ID_FIELDS = ["SWM_FAC_NO", "ASSET_ID", "STRU_ID", "NAME", "PROJECT_ID", "STRUCTURE_ID", "STRUCT_ID", "FACILITY_ID", "FACILITYID"];
+const TMDL_HINT = "MD SHA: Use the official ID exactly (e.g., 210049UT).";
+const TMDL_ID_PATTERN = /^\d+\s*-?\s*(UT|TR|SR|OF|PR)$/i;
+const TMDL_GROUP_FIELDS = ["PROJECT_ID"];
+
+// State plane systems for CAD output (NAD83, US survey feet)
+const MD_STATE_PLANE = "EPSG:2248"; // Maryland
+const VA_NORTH = "EPSG:2283";       // Virginia North
+
+// Each entry: { label, base, idFields, exampleIds, hint, idPatterns?, geocoders? }
+// idPatterns: what this dataset's IDs look like; the auto-detect resolver tries
+// matching datasets first (the ID is still probed everywhere else).
+// geocoders: address-fallback locators for this jurisdiction (keys in lib/geocode.js).
+// style: KMZ symbology (lib/kmz.js) — { color, fill, fillOpacity, width, icon: circle|square|
+// diamond|triangle, labelField (one field or a list), balloonFields? }; Montgomery layers carry their own.
+// crs: the local state plane system DXF output is projected to (lib/dxf.js).
+// fields: attributes to output, in order — a field name or { name, alias } (lib/attributes.js);
+// without it every field goes out. Coded values and dates are decoded either way.
+// groupFields: attributes that tie assets together (a project, an account) — offered
+// for group export (lib/group.js); any field on the layer works.
+// Virtual datasets (Montgomery) carry `layers` instead of `base`/`idFields`;
+// each inner layer is { base, idFields, type: "point"|"polygon"|"line", label, style?, fields?, groupFields? }.
+export const DATASETS = {
+  fairfax_bmps: {
+    label: "Fairfax — Stormwater Facilities",
+    base: "https://www.fairfaxcounty.gov/mercator/rest/services/DPWES/StwFieldMap/MapServer/7",
+    idFields: ["FACILITY_ID"],
+    exampleIds: ["WP0399", "1373DP"],
+    hint: "Fairfax: Use FACILITY_ID (e.g., WP0399).",
+    idPatterns: [/^WP\d{3,}$/i, /^\d+DP$/i],
+    geocoders: ["fairfax"],
+    crs: VA_NORTH,
+    style: { color: "#0e7490", fill: "#06b6d4", icon: "circle", labelField: "FACILITY_ID" },
+    fields: [
+      { name: "FACILITY_ID", alias: "Facility ID" },
+      { name: "FACILITY_TYPE", alias: "Facility Type" },
+      { name: "STATUS", alias: "Status" },
+      { name: "OWNER", alias: "Owner" },
+      { name: "INSTALL_DATE", alias: "Installed" },
+    ],
+  },
+  mdsha_landscape: {
+    label: "MDOT SHA — Managed Landscape",
+    base: "https://maps.roads.maryland.gov/arcgis/rest/services/OED_Env_Assets_Mgr/OED_Environmental_Assets_WGS84_Maryland_MDOTSHA/MapServer/0",
+    idFields: ["LOD_ID"],
+    exampleIds: [],
+    hint: "MDOT SHA: Use the LOD_ID (starts with LOD_).",
+    idPatterns: [/^LOD_/i],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#15803d", fill: "#22c55e", fillOpacity: 0.3, icon: "square", labelField: "LOD_ID" },
+  },
+  mdsha_tmdl_structures: {
+    label: "TMDL — Stormwater Control Structures",
+    base: `${TMDL_BASE}/0`,
+    idFields: TMDL_ID_FIELDS,
+    exampleIds: [],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#6d28d9", fill: "#8b5cf6", icon: "diamond", labelField: TMDL_ID_FIELDS },
+  },
+  mdsha_tmdl_retrofits: {
+    label: "TMDL — Retrofits",
+    base: `${TMDL_BASE}/1`,
+    idFields: TMDL_ID_FIELDS,
+    exampleIds: [],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#c2410c", fill: "#f97316", icon: "diamond", labelField: TMDL_ID_FIELDS },
+  },
+  // IMPORTANT: Tree Plantings layer 2 matches on STRU_ID only.
+  mdsha_tmdl_tree_plantings: {
+    label: "TMDL — Tree Plantings",
+    base: `${TMDL_BASE}/2`,
+    idFields: ["STRU_ID"],
+    exampleIds: ["210049UT"],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#166534", fill: "#4ade80", fillOpacity: 0.35, icon: "triangle", labelField: "STRU_ID" },
+  },
+  mdsha_tmdl_pavement_removals: {
+    label: "TMDL — Pavement Removals",
+    base: `${TMDL_BASE}/3`,
+    idFields: TMDL_ID_FIELDS.filter(f => f !== "SWM_FAC_NO"),
+    exampleIds: [],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#4b5563", fill: "#9ca3af", icon: "square", labelField: TMDL_ID_FIELDS },
+  },
+  mdsha_tmdl_stream_restorations: {
+    label: "TMDL — Stream Restorations",
+    base: `${TMDL_BASE}/4`,
+    idFields: TMDL_ID_FIELDS.filter(f => f !== "SWM_FAC_NO"),
+    exampleIds: [],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#0369a1", fill: "#38bdf8", width: 3, icon: "circle", labelField: TMDL_ID_FIELDS },
+  },
+  mdsha_tmdl_outfall_stabilizations: {
+    label: "TMDL — Outfall Stabilizations",
+    base: `${TMDL_BASE}/5`,
+    idFields: TMDL_ID_FIELDS.filter(f => f !== "SWM_FAC_NO"),
+    exampleIds: [],
+    hint: TMDL_HINT,
+    groupFields: TMDL_GROUP_FIELDS,
+    idPatterns: [TMDL_ID_PATTERN],
+    geocoders: ["md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#92400e", fill: "#d97706", width: 3, icon: "triangle", labelField: TMDL_ID_FIELDS },
+  },
+
+  // Leesburg, VA — BMPs (ArcGIS Online), layer 51 under the LEESBURG FeatureServer.
+  // Accept OBJECTID first, but also try OBJECTID_1 and GlobalID just in case.
+  leesburg_bmps: {
+    label: "Leesburg — BMPs",
+    base: "https://services1.arcgis.com/7owdfh5mgjEgbCSM/arcgis/rest/services/LEESBURG/FeatureServer/51",
+    idFields: ["OBJECTID", "OBJECTID_1", "GlobalID"],
+    exampleIds: [],
+    hint: "Leesburg: Use the OBJECTID (or GlobalID) of the BMP.",
+    idPatterns: [/^\d+$/, /^\{?[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}\}?$/i],
+    // No county locator registered for Loudoun; uses MAPBUDDY_GEOCODER_ARCGIS_URL when set.
+    geocoders: ["arcgis"],
+    crs: VA_NORTH,
+    style: { color: "#be185d", fill: "#f472b6", icon: "circle", labelField: "OBJECTID" },
+  },
+
+  // ✅ Unified Montgomery County (stormwater + buildings + communities + municipalities + tree inventory)
+  // NOTE: we include address-friendly fields so spreadsheet addresses can match if present in attributes.
+  montgomery_county: {
+    label: "Montgomery County (Unified)",
+    exampleIds: [],
+    hint: "Montgomery: Use a facility ASSET/SEQNO, a building or community name, or a street address.",
+    geocoders: ["montgomery", "md_imap"],
+    crs: MD_STATE_PLANE,
+    style: { color: "#1d4ed8", fill: "#3b82f6" },
+    // This "virtual" dataset has multiple underlying layers tried in order.
+    layers: [
+      // DEP Stormwater Facilities (points) — address-friendly fields included
+      {
+        base: "https://depgis.montgomerycountymd.gov/arcgis/rest/services/DEP_Public/DEP_Stormwater/MapServer/2",
+        idFields: ["ASSET", "SEQNO", "PROP_NAME", "P_ST_ADD", "Acct", "P_ACCT", "GRID", "INSP_REG", "Type_Desc"],
+        type: "point",
+        label: "Montgomery — DEP Stormwater Facilities (points)",
+        groupFields: ["P_ACCT", "GRID"],
+        style: { color: "#0e7490", fill: "#06b6d4", icon: "circle", labelField: ["ASSET", "SEQNO"] },
+        fields: [
+          { name: "ASSET", alias: "Asset" },
+          { name: "SEQNO", alias: "Seq No" },
+          { name: "Type_Desc", alias: "Facility Type" },
+          { name: "PROP_NAME", alias: "Property" },
+          { name: "P_ST_ADD", alias: "Address" },
+          { name: "GRID", alias: "Grid" },
+          { name: "INSP_REG", alias: "Inspection Region" }
+        ]
+      },
+      // County Buildings (polygons)
+      {
+        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/BLDG_PS/MapServer/0",
+        idFields: ["NAME", "ALIAS_NAME", "AGENCYNAME", "ADDRESS", "FULLADDR"],
+        type: "polygon",
+        label: "Montgomery — County Buildings",
+        style: { color: "#334155", fill: "#64748b", fillOpacity: 0.3, labelField: "NAME" }
+      },
+      // Communities with municipalities (polygons)
+      {
+        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/communities_w_muni/MapServer/0",
+        idFields: ["NAME", "COMMUNITY", "MUNICIPALITY", "MUNI_NAME"],
+        type: "polygon",
+        label: "Montgomery — Communities & Municipalities",
+        style: { color: "#a16207", fill: "#facc15", fillOpacity: 0.08, width: 2, labelField: "NAME" }
+      },
+      // Municipalities (polygons)
+      {
+        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/General/municipalities/MapServer/0",
+        idFields: ["NAME", "MUNI_NAME"],
+        type: "polygon",
+        label: "Montgomery — Municipalities",
+        style: { color: "#7e22ce", fill: "#c084fc", fillOpacity: 0.06, width: 2, labelField: "NAME" }
+      },
+      // Tree Inventory (points)
+      {
+        base: "https://gis.montgomerycountymd.gov/arcgis/rest/services/DOT/MCDOT_Tree_Inventory_FY22/MapServer/0",
+        idFields: ["TREE_ID", "SITE_NAME", "STREETNAME", "ADDRNUM", "FULLADDR", "COMMUNITY"],
+        type: "point",
+        label: "Montgomery — Tree Inventory (FY22)",
+        style: { color: "#15803d", fill: "#22c55e", icon: "triangle", labelField: "TREE_ID" }
+      }
+    ]
+  }
+};
+
+// Pseudo-key "mdsha_tmdl_any" fans out to every TMDL layer.
+export const TMDL_ANY = Object.keys(DATASETS).filter(k => k.startsWith("mdsha_tmdl_"));
+
+export const isTmdlDataset = (key) => String(key || "").startsWith("mdsha_tmdl_");
+
+// Dataset keys whose idPatterns match this ID, in registry order.
+export function idPatternDatasets(assetId) {
+  const s = String(assetId || "").trim();
+  return Object.entries(DATASETS).filter(([, ds]) => (ds.idPatterns || []).some(re => re.test(s))).map(([k]) => k);
+}
+
+// Labels the old bulk registry used as keys, before the " (ID field)" suffixes were
+// dropped; saved CSVs and older payloads still send them.
+const LEGACY_LABELS = {
+  "Fairfax — Stormwater Facilities (FACILITY_ID)": "fairfax_bmps",
+  "MDOT SHA — Managed Landscape (LOD_ID)": "mdsha_landscape",
+  "Leesburg — BMPs (OBJECTID)": "leesburg_bmps",
+};
+
+// Accept a machine key or (for older bulk payloads) a dataset label.
+export function resolveDatasetKey(input) {
+  if (!input) return null;
+  if (input === "mdsha_tmdl_any" || Object.hasOwn(DATASETS, input)) return input;
+  for (const [k, v] of Object.entries(DATASETS)) {
+    if (v.label === input) return k;
+  }
+  return Object.hasOwn(LEGACY_LABELS, input) ? LEGACY_LABELS[input] : null;
+}
+
+// Public, URL-free description of the registry for /api/datasets.
+export function describeDatasets() {
+  return Object.entries(DATASETS).map(([key, ds]) => {
+    const out = { key, label: ds.label, idFields: ds.idFields || [], exampleIds: ds.exampleIds || [], hint: ds.hint || "", geocoders: ds.geocoders || [], groupFields: ds.groupFields || [] };
+    if (ds.layers) {
+      out.idFields = [...new Set(ds.layers.flatMap(l => l.idFields))];
+      out.groupFields = [...new Set(ds.layers.flatMap(l => l.groupFields || []))];
+      out.layers = ds.layers.map(l => ({ label: l.label, type: l.type, idFields: l.idFields }));
+    }
+    return out;
+  });
+}
@@ -0,0 +1,188 @@
+// lib/dxf.js
+// DXF (R12, ASCII) for CAD: geometry projected with mapshaper to the dataset's
+// state plane system (registry `crs`), one layer per dataset plus a text layer
+// with the asset IDs, a .prj alongside and a metadata note (CRS, source layers).
+// Features in different state plane systems go to separate drawings; features with
+// none (ad-hoc layers, custom geocoded results) go to a WGS84 (degrees) drawing.
+
+import { DATASETS } from "./datasets.js";
+import { getMapshaperApply } from "./export.js";
+import { labelPoint } from "./geometry.js";
+
+const INFO_LAYER = "MAPBUDDY_INFO";
+const FALLBACK_CRS = "EPSG:4326";
+const FEET_PER_DEGREE = 364000; // of latitude, near enough for text heights
+const LAYER_COLORS = [5, 3, 1, 6, 30, 4, 2, 140, 210, 8]; // AutoCAD colour index, cycled per dataset
+
+// ---------- registry lookups ----------
+
+const layerOf = (props) => DATASETS[props._dataset]?.layers?.find(l => l.label === props._sourceLabel);
+
+// Geocoded points with no dataset borrow the CRS of a dataset using the same locator.
+export function crsFor(props = {}) {
+  const ds = DATASETS[props._dataset];
+  if (ds?.crs) return ds.crs;
+  const byLocator = Object.values(DATASETS).find(d => d.crs && d.geocoders?.includes(props._geocoder));
+  return byLocator?.crs || null;
+}
+
+function sourceOf(props = {}) {
+  const ds = DATASETS[props._dataset];
+  const layer = layerOf(props);
+  if (!ds) return props._geocoded ? { label: props._sourceLabel || "Geocoded address", url: "" } : null;
+  return { label: layer?.label || ds.label, url: layer?.base || ds.base || "" };
+}
+
+// DXF layer names: letters, digits, _ and -
+const layerName = (props = {}) =>
+  String(props._dataset || (props._geocoded ? "geocoded" : "features")).toUpperCase().replace(/[^\w-]+/g, "_");
+
+// ---------- projection ----------
+
+const prjCache = new Map(); // crs → WKT
+
+async function prjFor(apply, crs) {
+  if (!prjCache.has(crs)) {
+    const probe = { type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry: { type: "Point", coordinates: [-77, 39] } }] };
+    const out = await apply(`-i in.json -proj ${crs} -o out.shp`, { "in.json": JSON.stringify(probe) });
+    prjCache.set(crs, String(out["out.prj"] || ""));
+  }
+  return prjCache.get(crs);
+}
+
+// Projects the features and their label points together; `_i` / `_pinOf` tie them back.
+async function projectFeatures(apply, features, crs) {
+  const fc = { type: "FeatureCollection", features: [] };
+  features.forEach((f, i) => {
+    if (!f.geometry) return;
+    fc.features.push({ type: "Feature", properties: { _i: i }, geometry: f.geometry });
+    const pin = labelPoint(f.geometry);
+    if (pin) fc.features.push({ type: "Feature", properties: { _pinOf: i }, geometry: { type: "Point", coordinates: [pin.lng, pin.lat] } });
+  });
+  const out = await apply(`-i in.json -proj ${crs} -o out.json format=geojson combine-layers`, { "in.json": JSON.stringify(fc) });
+  const projected = JSON.parse(String(out["out.json"])).features;
+  const geoms = new Map(), pins = new Map();
+  for (const p of projected) {
+    if (p.properties._pinOf !== undefined) pins.set(p.properties._pinOf, p.geometry.coordinates);
+    else geoms.set(p.properties._i, p.geometry);
+  }
+  return features.map((f, i) => ({ props: f.properties || {}, geometry: geoms.get(i) || null, pin: pins.get(i) || null }));
+}
+
+// ---------- DXF writer ----------
+
+// 8 decimals (~1 mm in degrees), trailing zeros trimmed
+const num = (n) => Number(n).toFixed(8).replace(/\.?0+$/, "");
+const group = (code, value) => `${code}\n${value}\n`;
+// R12 files are read as ANSI; anything else goes in as AutoCAD's \U+XXXX escape
+const dxfText = (s) => String(s).replace(/[\r\n]+/g, " ").replace(/[^\x20-\x7e]/g, c => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}`);
+
+function polylineDxf(layer, coords, closed) {
+  const pts = closed && coords.length > 1 && coords[0][0] === coords.at(-1)[0] && coords[0][1] === coords.at(-1)[1] ? coords.slice(0, -1) : coords;
+  return group(0, "POLYLINE") + group(8, layer) + group(66, 1) + group(10, 0) + group(20, 0) + group(30, 0) + group(70, closed ? 1 : 0)
+    + pts.map(([x, y]) => group(0, "VERTEX") + group(8, layer) + group(10, num(x)) + group(20, num(y)) + group(30, 0)).join("")
+    + group(0, "SEQEND") + group(8, layer);
+}
+
+function geometryDxf(layer, g) {
+  const c = g.coordinates;
+  switch (g.type) {
+    case "Point": return group(0, "POINT") + group(8, layer) + group(10, num(c[0])) + group(20, num(c[1])) + group(30, 0);
+    case "MultiPoint": return c.map(p => geometryDxf(layer, { type: "Point", coordinates: p })).join("");
+    case "LineString": return polylineDxf(layer, c, false);
+    case "MultiLineString": return c.map(l => polylineDxf(layer, l, false)).join("");
+    case "Polygon": return c.map(r => polylineDxf(layer, r, true)).join("");
+    case "MultiPolygon": return c.flatMap(p => p.map(r => polylineDxf(layer, r, true))).join("");
+    case "GeometryCollection": return g.geometries.map(x => geometryDxf(layer, x)).join("");
+    default: return "";
+  }
+}
+
+function textDxf(layer, [x, y], height, text, centered = true) {
+  const align = centered ? group(72, 1) + group(73, 2) + group(11, num(x)) + group(21, num(y)) + group(31, 0) : "";
+  return group(0, "TEXT") + group(8, layer) + group(10, num(x)) + group(20, num(y)) + group(30, 0)
+    + group(40, num(height)) + group(1, dxfText(text)) + align;
+}
+
+function extentOf(items) {
+  let minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+  const walk = (c) => { if (typeof c[0] === "number") { minx = Math.min(minx, c[0]); miny = Math.min(miny, c[1]); maxx = Math.max(maxx, c[0]); maxy = Math.max(maxy, c[1]); } else c.forEach(walk); };
+  const walkGeom = (g) => (g.type === "GeometryCollection" ? g.geometries.forEach(walkGeom) : walk(g.coordinates));
+  for (const it of items) if (it.geometry) walkGeom(it.geometry);
+  return Number.isFinite(minx) ? [minx, miny, maxx, maxy] : [0, 0, 0, 0];
+}
+
+// One drawing: header (extents), LTYPE + LAYER tables, entities, metadata text under the drawing.
+function drawingDxf(items, crsName, crs) {
+  const [minx, miny, maxx, maxy] = extentOf(items);
+  const span = Math.max(maxx - minx, maxy - miny);
+  const geographic = crs === FALLBACK_CRS;
+  const foot = geographic ? 1 / FEET_PER_DEGREE : 1;
+  const textH = Math.min(20 * foot, Math.max(2 * foot, span / 80)); // 2–20 ft
+
+  const layers = [...new Set(items.flatMap(it => [layerName(it.props), `${layerName(it.props)}-ID`])), INFO_LAYER];
+  const color = (name) => name === INFO_LAYER ? 7 : LAYER_COLORS[Math.floor(layers.indexOf(name) / 2) % LAYER_COLORS.length];
+
+  let entities = "";
+  for (const it of items) {
+    if (!it.geometry) continue;
+    const layer = layerName(it.props);
+    entities += geometryDxf(layer, it.geometry);
+    if (it.pin) entities += textDxf(`${layer}-ID`, it.pin, textH, it.props._assetId ?? it.props.MatchedAddress ?? "");
+  }
+
+  const sources = new Map();
+  for (const it of items) { const s = sourceOf(it.props); if (s) sources.set(`${s.label}|${s.url}`, s); }
+  const info = [
+    `MapBuddy export ${new Date().toISOString()}`,
+    `CRS: ${crsName} (${crs}), units: ${geographic ? "degrees" : "US survey feet"}`,
+    ...[...sources.values()].map(s => `Source: ${s.label}${s.url ? `: ${s.url}` : ""}`),
+  ];
+  info.forEach((line, i) => { entities += textDxf(INFO_LAYER, [minx, miny - textH * (3 + i * 1.6)], textH, line, false); });
+
+  const header = group(0, "SECTION") + group(2, "HEADER")
+    + group(9, "$ACADVER") + group(1, "AC1009")
+    + group(9, "$EXTMIN") + group(10, num(minx)) + group(20, num(miny - textH * (4 + info.length * 1.6))) + group(30, 0)
+    + group(9, "$EXTMAX") + group(10, num(maxx)) + group(20, num(maxy)) + group(30, 0)
+    + group(0, "ENDSEC");
+  const tables = group(0, "SECTION") + group(2, "TABLES")
+    + group(0, "TABLE") + group(2, "LTYPE") + group(70, 1)
+    + group(0, "LTYPE") + group(2, "CONTINUOUS") + group(70, 0) + group(3, "Solid line") + group(72, 65) + group(73, 0) + group(40, 0)
+    + group(0, "ENDTAB")
+    + group(0, "TABLE") + group(2, "LAYER") + group(70, layers.length)
+    + layers.map(l => group(0, "LAYER") + group(2, l) + group(70, 0) + group(62, color(l)) + group(6, "CONTINUOUS")).join("")
+    + group(0, "ENDTAB") + group(0, "ENDSEC");
+  // Comments (999) repeat the metadata for tools that skip text entities
+  const comments = info.map(line => group(999, dxfText(line))).join("");
+
+  return comments + header + tables + group(0, "SECTION") + group(2, "ENTITIES") + entities + group(0, "ENDSEC") + group(0, "EOF");
+}
+
+// ---------- export ----------
+
+// features → [[fileName, Buffer]]: `${baseName}.dxf` + `.prj`, or one pair per state
+// plane system (`${baseName}_epsg2248.dxf` …, `${baseName}_epsg4326.dxf` for features
+// with none) when the features span more than one.
+export async function buildDxfFiles(features, baseName = "mapbuddy") {
+  const apply = await getMapshaperApply();
+  if (!apply) throw new Error("Mapshaper API not available");
+
+  const groups = new Map(); // crs → features
+  for (const f of features) {
+    if (!f.geometry) continue;
+    const crs = crsFor(f.properties) || FALLBACK_CRS;
+    if (!groups.has(crs)) groups.set(crs, []);
+    groups.get(crs).push(f);
+  }
+
+  const files = [];
+  for (const [crs, feats] of groups) {
+    const prj = await prjFor(apply, crs);
+    const crsName = prj.match(/^(?:PROJ|GEOG)CS\["([^"]+)"/)?.[1] || crs;
+    const items = await projectFeatures(apply, feats, crs);
+    const name = groups.size > 1 ? `${baseName}_${crs.replace(/\W+/g, "").toLowerCase()}` : baseName;
+    files.push([`${name}.dxf`, Buffer.from(drawingDxf(items, crsName, crs), "utf8")]);
+    files.push([`${name}.prj`, Buffer.from(prj, "utf8")]);
+  }
+  return files;
+}
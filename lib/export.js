@@ -0,0 +1,185 @@
+// lib/export.js
+// FeatureCollection → KML / GeoJSON / zipped Shapefile via mapshaper, styled KMZ / GPX,
+// a GeoPackage, or a zipped state plane DXF + .prj.
+// Shared by every endpoint that hands back a single map file.
+
+import AdmZip from "adm-zip";
+import { buildDxfFiles } from "./dxf.js";
+import { labelPoint } from "./geometry.js";
+import { buildGpkg } from "./gpkg.js";
+import { buildGpx } from "./gpx.js";
+import { buildKmz } from "./kmz.js";
+import { relatedHtml } from "./related.js";
+
+// mapshaper's applyCommands (ESM or CJS shape), loaded on first use; null if missing.
+export async function getMapshaperApply() {
+  const ms = await import("mapshaper");
+  return ms.applyCommands || (ms.default && ms.default.applyCommands);
+}
+
+const TYPES = {
+  kml:       { ext: "kml",     contentType: "application/vnd.google-earth.kml+xml" },
+  kmz:       { ext: "kmz",     contentType: "application/vnd.google-earth.kmz" },
+  gpx:       { ext: "gpx",     contentType: "application/gpx+xml" },
+  geojson:   { ext: "geojson", contentType: "application/geo+json" },
+  shapefile: { ext: "zip",     contentType: "application/zip" },
+  dxf:       { ext: "dxf.zip", contentType: "application/zip" },
+  gpkg:      { ext: "gpkg",    contentType: "application/geopackage+sqlite3" },
+};
+
+// Accepts the aliases the UI and older clients send; anything unknown → kml.
+export function normalizeExportFormat(raw) {
+  const f = String(raw || "kml").toLowerCase();
+  if (f === "geojson" || f === "kmz" || f === "gpx" || f === "dxf" || f === "gpkg") return f;
+  if (f === "geopackage") return "gpkg";
+  if (["shapefile", "shp", "zip", "shpzip"].includes(f)) return "shapefile";
+  return "kml";
+}
+
+// ---------- output coordinate systems ----------
+
+// `srs` whitelist for GeoJSON / Shapefile output. Features are always fetched in
+// WGS84 and reprojected here with mapshaper -proj, so links, label points and
+// KML / KMZ / GPX / PDF stay lon/lat whatever was asked for.
+export const OUTPUT_SRS = {
+  4326: "WGS 84 (lon/lat)",
+  3857: "WGS 84 / Web Mercator",
+  2248: "NAD83 / Maryland (ftUS)",
+  2283: "NAD83 / Virginia North (ftUS)",
+  26985: "NAD83 / Maryland (m)",
+  32146: "NAD83 / Virginia North (m)",
+};
+export const SRS_FORMATS = ["geojson", "shapefile"];
+
+// "EPSG:2248" | "2248" | 2248 → 2248; empty → 4326; not on the list → null
+export function resolveOutputSrs(raw) {
+  if (raw === undefined || raw === null || raw === "") return 4326;
+  const code = Number(String(raw).trim().replace(/^EPSG:/i, ""));
+  return OUTPUT_SRS[code] ? code : null;
+}
+
+export const SRS_ERROR = `srs must be one of ${Object.keys(OUTPUT_SRS).map(c => `EPSG:${c}`).join(", ")}`;
+
+// Legacy GeoJSON `crs` member: RFC 7946 is WGS84-only, but QGIS / ArcGIS read this for projected files.
+function withCrsMember(geojsonText, srs) {
+  const fc = JSON.parse(geojsonText);
+  return JSON.stringify({ type: fc.type, crs: { type: "name", properties: { name: `urn:ogc:def:crs:EPSG::${srs}` } }, ...fc });
+}
+
+// WGS84 FeatureCollection → GeoJSON text in `srs` (bulk's merged / per-asset GeoJSON)
+export async function geojsonInSrs(fc, srs = 4326) {
+  if (srs === 4326) return JSON.stringify(fc);
+  const msApply = await getMapshaperApply();
+  const out = await msApply(`-i in.json -proj EPSG:${srs} -o out.json format=geojson combine-layers`, { "in.json": JSON.stringify(fc) });
+  return withCrsMember(String(out["out.json"]), srs);
+}
+
+// ---------- related records ----------
+
+// KML attributes are flat, so `_related` (lib/related.js) becomes the placemark balloon
+// (`description`, which mapshaper writes as such) instead of a JSON ExtendedData value.
+export function withRelatedDescriptions(fc) {
+  if (!fc.features.some(f => f.properties?._related)) return fc;
+  return {
+    ...fc,
+    features: fc.features.map(f => {
+      const { _related, ...props } = f.properties || {};
+      return _related ? { ...f, properties: { ...props, description: relatedHtml(_related) } } : f;
+    }),
+  };
+}
+
+// Shapefile columns are flat and short: no room for related rows (bulk zips carry them as CSV tables).
+export function withoutRelated(fc) {
+  return { ...fc, features: fc.features.map(f => (f.properties?._related ? { ...f, properties: { ...f.properties, _related: undefined } } : f)) };
+}
+
+// ---------- KML label points ----------
+
+// Google Earth pins a polygon / line placemark at a vertex-derived spot that can
+// land outside L-shaped or donut polygons. Features carry their label point as a
+// temporary attribute through mapshaper; kmlLabelPoints() then moves it into the
+// placemark as <MultiGeometry><Point/>…</MultiGeometry>, which is where the pin goes.
+const LABEL_ATTR = "_labelPoint";
+
+export function withLabelPoints(fc) {
+  return {
+    ...fc,
+    features: fc.features.map(f => {
+      if (!f.geometry || /Point$/.test(f.geometry.type)) return f;
+      const p = labelPoint(f.geometry);
+      return p ? { ...f, properties: { ...f.properties, [LABEL_ATTR]: `${p.lng},${p.lat}` } } : f;
+    }),
+  };
+}
+
+export function kmlLabelPoints(kml) {
+  const data = new RegExp(`\\s*<Data name="${LABEL_ATTR}"><value>([^<]*)</value></Data>`);
+  return String(kml).replace(/<Placemark\b([^>]*)>([\s\S]*?)<\/Placemark>/g, (all, attrs, body) => {
+    const m = body.match(data);
+    if (!m) return all;
+    const pt = `<Point><coordinates>${m[1]}</coordinates></Point>`;
+    let b = body.replace(m[0], "");
+    b = b.includes("<MultiGeometry>")
+      ? b.replace("<MultiGeometry>", `<MultiGeometry>${pt}`)
+      : b.replace(/<(Polygon|LineString)>[\s\S]*<\/\1>/, g => `<MultiGeometry>${pt}${g}</MultiGeometry>`);
+    return `<Placemark${attrs}>${b}</Placemark>`;
+  });
+}
+
+// ---------- export ----------
+
+// → { buffer, contentType, ext, srs }. baseName names the files inside a DXF zip;
+// srs (EPSG code from resolveOutputSrs) applies to GeoJSON and Shapefile only.
+export async function exportFeatureCollection(fc, format, { baseName = "mapbuddy", srs = 4326 } = {}) {
+  const outFmt = normalizeExportFormat(format);
+  // KMZ, GPX, GeoPackage and DXF are written directly (lib/kmz.js, gpx.js, gpkg.js, dxf.js)
+  if (outFmt === "kmz") return { buffer: buildKmz(fc.features), ...TYPES.kmz, srs: 4326 };
+  if (outFmt === "gpx") return { buffer: buildGpx(fc.features), ...TYPES.gpx, srs: 4326 };
+  if (outFmt === "gpkg") return { buffer: await buildGpkg(fc.features), ...TYPES.gpkg, srs: 4326 };
+  if (outFmt === "dxf") { // the dataset's state plane system, see lib/dxf.js
+    const zip = new AdmZip();
+    for (const [name, buf] of await buildDxfFiles(fc.features, String(baseName).replace(/[^\w.-]+/g, "_"))) zip.addFile(name, buf);
+    return { buffer: zip.toBuffer(), ...TYPES.dxf };
+  }
+
+  const msApply = await getMapshaperApply();
+  if (!msApply) throw new Error("Mapshaper API not available");
+
+  const prepared = outFmt === "kml" ? withLabelPoints(withRelatedDescriptions(fc)) : outFmt === "shapefile" ? withoutRelated(fc) : fc;
+  const input = { "in.json": Buffer.from(JSON.stringify(prepared)) };
+  const outName = `out.${TYPES[outFmt].ext}`;
+  // Mixed geometry types import as separate layers; KML/GeoJSON can hold them in
+  // one file, a shapefile zip gets one .shp per geometry type.
+  const combine = outFmt === "shapefile" ? "" : " combine-layers";
+  const outSrs = SRS_FORMATS.includes(outFmt) ? srs : 4326;
+  const proj = outSrs !== 4326 ? ` -proj EPSG:${outSrs}` : ""; // the shapefile's .prj follows
+  const cmd = `-i in.json -clean${proj} -o ${outName} format=${outFmt}${combine}`;
+
+  let outputs;
+  try {
+    outputs = await msApply(cmd, input);
+  } catch (err) {
+    throw new Error("Mapshaper failed: " + (err.message || err));
+  }
+
+  if (outputs['stderr']) {
+    throw new Error('Mapshaper error: ' + outputs['stderr'].toString());
+  }
+  const buf = outputs[outName];
+  if (!buf) throw new Error(`Mapshaper produced no ${outName}, outputs: ${Object.keys(outputs).join(", ")}`);
+
+  const text = () => Buffer.from(buf).toString("utf8");
+  const buffer = outFmt === "kml" ? Buffer.from(kmlLabelPoints(text()), "utf8")
+    : outFmt === "geojson" && outSrs !== 4326 ? Buffer.from(withCrsMember(text(), outSrs), "utf8")
+    : Buffer.from(buf);
+  return { buffer, ...TYPES[outFmt], srs: outSrs };
+}
+
+// Sends an export as a download named `${baseName}.${ext}`.
+export function sendExport(res, out, baseName) {
+  const safe = String(baseName).replace(/[^\w.-]+/g, "_");
+  res.setHeader("Content-Type", out.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${safe}.${out.ext}"`);
+  res.status(200).send(out.buffer);
+}
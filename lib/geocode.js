@@ -0,0 +1,91 @@
+// lib/geocode.js
+// Address fallback: a small registry of ArcGIS locators (findAddressCandidates),
+// picked per dataset via its `geocoders` list, or all of them when auto-detecting.
+// Candidates come back scored; anything under MAPBUDDY_GEOCODE_MIN_SCORE (80) is
+// flagged `lowScore` so callers can warn instead of silently trusting it.
+
+import { DATASETS, TMDL_ANY } from "./datasets.js";
+import { cachedRequest } from "./cache.js";
+
+export const MIN_SCORE = Number(process.env.MAPBUDDY_GEOCODE_MIN_SCORE) || 80;
+const MAX_CANDIDATES = 5;
+
+// ---------- providers ----------
+
+// Any ArcGIS GeocodeServer. singleLineParam differs on a few older locators.
+export function arcgisLocator(key, label, url, { singleLineParam = "SingleLine" } = {}) {
+  return {
+    key,
+    label,
+    url,
+    async geocode(singleLine, max = MAX_CANDIDATES) {
+      const params = { [singleLineParam]: singleLine, outSR: 4326, f: "pjson", maxLocations: max };
+      const r = await cachedRequest(`${url.replace(/\/+$/, "")}/findAddressCandidates`, params);
+      if (r.status !== 200 || r.data?.error) return [];
+      return (r.data?.candidates || [])
+        .filter(c => typeof c.location?.x === "number" && typeof c.location?.y === "number")
+        .map(c => ({ lat: c.location.y, lng: c.location.x, matched: c.address || singleLine, score: c.score, provider: key, providerLabel: label }));
+    },
+  };
+}
+
+// Locator URLs can be overridden per deployment (MAPBUDDY_GEOCODER_<KEY>_URL).
+const url = (key, fallback) => process.env[`MAPBUDDY_GEOCODER_${key.toUpperCase()}_URL`] || fallback;
+
+export const GEOCODERS = Object.fromEntries([
+  arcgisLocator("montgomery", "Montgomery County Geocoder",
+    url("montgomery", "https://gis.montgomerycountymd.gov/geocoding/rest/services/Locators/CompositeLocator/GeocodeServer")),
+  arcgisLocator("fairfax", "Fairfax County Geocoder",
+    url("fairfax", "https://www.fairfaxcounty.gov/gispub/rest/services/GEOCODERS/Composite_Locator/GeocodeServer")),
+  arcgisLocator("md_imap", "Maryland iMAP Statewide Locator",
+    url("md_imap", "https://geodata.md.gov/imap/rest/services/GeocodeServices/MD_CompositeLocator/GeocodeServer")),
+  // Generic: any other GeocodeServer, only when configured.
+  ...(process.env.MAPBUDDY_GEOCODER_ARCGIS_URL ? [arcgisLocator("arcgis", "ArcGIS Geocoder", process.env.MAPBUDDY_GEOCODER_ARCGIS_URL)] : []),
+].map(p => [p.key, p]));
+
+// Provider keys for a dataset (registry `geocoders`), or every provider for auto-detect.
+export function geocodersFor(datasetKey) {
+  const key = datasetKey === "mdsha_tmdl_any" ? TMDL_ANY[0] : datasetKey;
+  const keys = key && key !== "auto" ? DATASETS[key]?.geocoders || [] : Object.keys(GEOCODERS);
+  return keys.filter(k => GEOCODERS[k]);
+}
+
+// ---------- lookups ----------
+
+// crude heuristic: has a number + a space + a word → likely an address
+export function looksLikeAddress(s) {
+  const t = String(s || "").trim();
+  return /\d+\s+\S+/.test(t);
+}
+
+// → [{ lat, lng, matched, score, provider, providerLabel, lowScore }], best first.
+// `provider` forces one locator; otherwise the dataset's (or all, in parallel).
+// A locator that fails is skipped.
+export async function geocodeAddress(singleLine, { dataset, provider, max = MAX_CANDIDATES } = {}) {
+  const keys = provider ? [provider].filter(k => GEOCODERS[k]) : geocodersFor(dataset);
+  const lists = await Promise.all(keys.map(k => GEOCODERS[k].geocode(singleLine, max).catch(() => [])));
+  const seen = new Set(); // overlapping locators (county + statewide) return the same point
+  return lists.flat()
+    .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+    .filter(c => { const k = `${String(c.matched).toUpperCase()}|${c.lat.toFixed(5)},${c.lng.toFixed(5)}`; return !seen.has(k) && seen.add(k); })
+    .map(c => ({ ...c, lowScore: !(c.score >= MIN_SCORE) }))
+    .slice(0, max);
+}
+
+// Best candidate as a GeoJSON point feature, or null. Properties keep the old
+// MatchedAddress / Score names; _lowScore marks a match to double-check.
+export function geocodedFeature(c) {
+  if (!c) return null;
+  return {
+    type: "Feature",
+    properties: {
+      _geocoded: true,
+      _geocoder: c.provider,
+      _sourceLabel: c.providerLabel,
+      MatchedAddress: c.matched,
+      Score: c.score,
+      ...(c.lowScore ? { _lowScore: true } : {}),
+    },
+    geometry: { type: "Point", coordinates: [c.lng, c.lat] },
+  };
+}
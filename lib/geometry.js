@@ -0,0 +1,136 @@
+// lib/geometry.js
+// Shared geometry helpers (GeoJSON in, { lng, lat } out).
+
+export function flattenCoords(g){ const out=[]; const walk=(c)=>{ if(typeof c[0]==="number") out.push(c); else c.forEach(walk); }; walk(g.coordinates); return out; }
+
+// ---------- centroid ----------
+
+// Shoelace area (signed) and centroid of one ring.
+function ringStats(ring){ let a=0,cx=0,cy=0;
+  for(let i=0,j=ring.length-1;i<ring.length;j=i++){ const [x0,y0]=ring[j],[x1,y1]=ring[i]; const f=x0*y1-x1*y0; a+=f; cx+=(x0+x1)*f; cy+=(y0+y1)*f; }
+  a*=0.5; return a ? { area:Math.abs(a), x:cx/(6*a), y:cy/(6*a) } : { area:0 }; }
+const meanPoint = (pts) => { let sx=0,sy=0; for(const [x,y] of pts){ sx+=x; sy+=y; } return pts.length ? { lng:sx/pts.length, lat:sy/pts.length } : null; };
+// Length-weighted midpoint of a set of lines
+function linesCentroid(lines){ let L=0,sx=0,sy=0;
+  for(const line of lines) for(let i=1;i<line.length;i++){ const [x0,y0]=line[i-1],[x1,y1]=line[i]; const l=Math.hypot(x1-x0,y1-y0); L+=l; sx+=(x0+x1)/2*l; sy+=(y0+y1)/2*l; }
+  return L ? { lng:sx/L, lat:sy/L } : meanPoint(lines.flat()); }
+
+// True (area / length weighted) centroid: every polygon part counts, holes subtract.
+// It can fall outside an L-shaped or donut polygon — use labelPoint() for pins.
+export function centroid(geom){
+  if(!geom) return null; const t=geom.type, c=geom.coordinates;
+  if(t==="Point") return { lng:c[0], lat:c[1] };
+  if(t==="MultiPoint") return meanPoint(c);
+  if(t==="LineString") return linesCentroid([c]);
+  if(t==="MultiLineString") return linesCentroid(c);
+  if(t==="Polygon"||t==="MultiPolygon"){ const polys = t==="Polygon" ? [c] : c; let A=0,sx=0,sy=0;
+    for(const rings of polys) rings.forEach((ring,k)=>{ const r=ringStats(ring); if(!r.area) return; const w=k===0?r.area:-r.area; A+=w; sx+=r.x*w; sy+=r.y*w; });
+    return A>0 ? { lng:sx/A, lat:sy/A } : linesCentroid(polys.flat()); }
+  return null;
+}
+
+// ---------- label point ----------
+
+// Signed distance from (x, y) to a polygon's boundary: positive inside, negative outside.
+function polyDistance(x, y, rings){ let inside=false, min=Infinity;
+  for(const ring of rings) for(let i=0,j=ring.length-1;i<ring.length;j=i++){
+    const [ax,ay]=ring[j],[bx,by]=ring[i];
+    if((by>y)!==(ay>y) && x<(ax-bx)*(y-by)/(ay-by)+bx) inside=!inside;
+    const dx=bx-ax, dy=by-ay, L=dx*dx+dy*dy, t=L ? Math.max(0, Math.min(1, ((x-ax)*dx+(y-ay)*dy)/L)) : 0;
+    min=Math.min(min, (ax+t*dx-x)**2 + (ay+t*dy-y)**2); }
+  return (inside ? 1 : -1) * Math.sqrt(min); }
+
+// Pole of inaccessibility (polylabel): the interior point farthest from the boundary,
+// found by quadtree search. Rings are planar here → { x, y, d }.
+function polylabel(rings){
+  const [minx,miny,maxx,maxy] = bbox({ coordinates: rings[0] });
+  const size = Math.min(maxx-minx, maxy-miny);
+  if(!(size > 0)) return { x:minx, y:miny, d:0 };
+  const precision = Math.max(maxx-minx, maxy-miny) / 1000;
+  const cell = (x,y,h) => { const d=polyDistance(x,y,rings); return { x, y, h, d, max:d+h*Math.SQRT2 }; };
+
+  const queue = []; // max-heap on `max`
+  const push = (c) => { queue.push(c); for(let i=queue.length-1;i>0;){ const p=(i-1)>>1; if(queue[p].max>=queue[i].max) break; [queue[p],queue[i]]=[queue[i],queue[p]]; i=p; } };
+  const pop = () => { const top=queue[0], last=queue.pop(); if(queue.length){ queue[0]=last;
+      for(let i=0;;){ const l=2*i+1, r=l+1; let m=i; if(l<queue.length&&queue[l].max>queue[m].max) m=l; if(r<queue.length&&queue[r].max>queue[m].max) m=r; if(m===i) break; [queue[m],queue[i]]=[queue[i],queue[m]]; i=m; } }
+    return top; };
+
+  for(let x=minx; x<maxx; x+=size) for(let y=miny; y<maxy; y+=size) push(cell(x+size/2, y+size/2, size/2));
+  const r=ringStats(rings[0]);
+  let best = r.area ? cell(r.x, r.y, 0) : cell(minx, miny, 0);
+  const mid = cell((minx+maxx)/2, (miny+maxy)/2, 0); if(mid.d>best.d) best=mid;
+  while(queue.length){ const c=pop();
+    if(c.d>best.d) best=c;
+    if(c.max-best.d<=precision) continue;
+    const h=c.h/2; push(cell(c.x-h,c.y-h,h)); push(cell(c.x+h,c.y-h,h)); push(cell(c.x-h,c.y+h,h)); push(cell(c.x+h,c.y+h,h)); }
+  return { x:best.x, y:best.y, d:best.d };
+}
+
+// Point halfway along a line (by length) — always on the line.
+function lineMidpoint(line){ let L=0; for(let i=1;i<line.length;i++) L+=Math.hypot(line[i][0]-line[i-1][0], line[i][1]-line[i-1][1]);
+  let half=L/2; for(let i=1;i<line.length;i++){ const [x0,y0]=line[i-1],[x1,y1]=line[i], l=Math.hypot(x1-x0,y1-y0);
+    if(l>=half && l>0){ const t=half/l; return { lng:x0+t*(x1-x0), lat:y0+t*(y1-y0), length:L }; } half-=l; }
+  return { lng:line[0][0], lat:line[0][1], length:L }; }
+
+// Where to put a pin: inside the polygon (the widest part of a MultiPolygon, clear of
+// holes), on the line (the longest part), or on one of the points. Longitude is
+// scaled by cos(lat) so "widest" means on the ground, not in degrees.
+export function labelPoint(geom){
+  if(!geom) return null; const t=geom.type, c=geom.coordinates;
+  if(t==="Point") return { lng:c[0], lat:c[1] };
+  if(t==="MultiPoint"){ const m=meanPoint(c); if(!m) return null; const near=c.reduce((a,p)=>Math.hypot(p[0]-m.lng,p[1]-m.lat)<Math.hypot(a[0]-m.lng,a[1]-m.lat)?p:a); return { lng:near[0], lat:near[1] }; }
+  if(t==="LineString"||t==="MultiLineString"){ const lines = t==="LineString" ? [c] : c; if(!lines.length) return null;
+    const m=lines.map(lineMidpoint).reduce((a,b)=>b.length>a.length?b:a); return { lng:m.lng, lat:m.lat }; }
+  if(t==="Polygon"||t==="MultiPolygon"){ const polys=(t==="Polygon" ? [c] : c).filter(p=>p[0]?.length); if(!polys.length) return null;
+    const k=Math.cos((bbox(geom)[1]+bbox(geom)[3])/2*Math.PI/180) || 1;
+    let best=null;
+    for(const rings of polys){ const p=polylabel(rings.map(r=>r.map(([x,y])=>[x*k,y]))); if(!best||p.d>best.d) best=p; }
+    return { lng:best.x/k, lat:best.y }; }
+  return null;
+}
+
+// Label point (for pins and links), true centroid and bbox of one geometry, or null.
+export function locationOf(geom){
+  const lp=labelPoint(geom); if(!lp) return null;
+  return { labelPoint:lp, centroid:centroid(geom), bbox:bbox(geom) };
+}
+
+export const googleMapsUrl = (pt) => `https://www.google.com/maps?q=${pt.lat.toFixed(6)},${pt.lng.toFixed(6)}`;
+
+// [minx, miny, maxx, maxy] of any GeoJSON geometry
+export function bbox(geom){ let minx=Infinity,miny=Infinity,maxx=-Infinity,maxy=-Infinity;
+  for(const [x,y] of flattenCoords(geom)){ if(x<minx)minx=x; if(y<miny)miny=y; if(x>maxx)maxx=x; if(y>maxy)maxy=y; }
+  return [minx,miny,maxx,maxy]; }
+
+// Distance in metres from { lat, lng } to the nearest part of a geometry
+// (0 when inside a polygon). Local equirectangular — fine at neighbourhood scale.
+const M_PER_DEG = 111320;
+export function distanceMeters(pt, geom){
+  const kx = Math.cos(pt.lat * Math.PI / 180) * M_PER_DEG;
+  const xy = ([x,y]) => [(x - pt.lng) * kx, (y - pt.lat) * M_PER_DEG];
+  const segDist = (a, b) => { const [ax,ay]=xy(a), [bx,by]=xy(b); const dx=bx-ax, dy=by-ay, L=dx*dx+dy*dy;
+    const t = L ? Math.max(0, Math.min(1, -(ax*dx + ay*dy) / L)) : 0; return Math.hypot(ax + t*dx, ay + t*dy); };
+  const lineDist = (line) => line.length === 1 ? Math.hypot(...xy(line[0])) : Math.min(...line.slice(1).map((p,i) => segDist(line[i], p)));
+  const inside = (rings) => { let c = false; for (const ring of rings) for (let i=0,j=ring.length-1;i<ring.length;j=i++){
+      const [xi,yi]=ring[i],[xj,yj]=ring[j]; if ((yi>pt.lat) !== (yj>pt.lat) && pt.lng < (xj-xi)*(pt.lat-yi)/(yj-yi)+xi) c=!c; } return c; };
+  const t = geom?.type, c = geom?.coordinates;
+  if (t==="Point") return Math.hypot(...xy(c));
+  if (t==="MultiPoint") return Math.min(...c.map(p => Math.hypot(...xy(p))));
+  if (t==="LineString") return lineDist(c);
+  if (t==="MultiLineString") return Math.min(...c.map(lineDist));
+  if (t==="Polygon") return inside(c) ? 0 : Math.min(...c.map(lineDist));
+  if (t==="MultiPolygon") return c.some(inside) ? 0 : Math.min(...c.flat().map(lineDist));
+  return null;
+}
+
+// ---------- area ----------
+
+// Ground area in square metres of a (Multi)Polygon, holes subtracted; 0 for points and lines.
+// Each polygon's longitude is scaled by cos(lat) as above — fine for site-sized features.
+export function areaSqMeters(geom){
+  const t=geom?.type; if(t!=="Polygon"&&t!=="MultiPolygon") return 0;
+  const polys = t==="Polygon" ? [geom.coordinates] : geom.coordinates; let A=0;
+  for(const rings of polys){ if(!rings[0]?.length) continue; const kx=Math.cos(rings[0][0][1]*Math.PI/180)*M_PER_DEG;
+    rings.forEach((ring,k)=>{ const a=ringStats(ring).area*kx*M_PER_DEG; A+=k===0?a:-a; }); }
+  return A;
+}
@@ -0,0 +1,196 @@
+// lib/gpkg.js
+// GeoPackage output: one feature table per dataset with the layers' own field
+// names (no 10-character shapefile limit) and field types (from the layer
+// definitions; dates as DATETIME), plus a non-spatial
+// `mapbuddy_links` table with the same rows as mapbuddy_links.csv. Written with
+// @ngageoint/geopackage on better-sqlite3 into a temp file, then read back.
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fetchLayerDefinition } from "./arcgis.js";
+import { layerDef, outputFieldName } from "./attributes.js";
+import { bbox, googleMapsUrl, labelPoint } from "./geometry.js";
+import { fieldSchemaOf } from "./where.js";
+
+async function getGeoPackage() {
+  const gp = await import("@ngageoint/geopackage");
+  return gp.GeoPackageAPI ? gp : gp.default;
+}
+
+const LINKS_TABLE = "mapbuddy_links";
+const LINK_TYPES = { lat: "REAL", lng: "REAL", geocodeScore: "REAL" }; // everything else TEXT
+const RESERVED = /^(id|geom)$/i; // the table's own key and geometry columns
+
+// ---------- tables ----------
+
+const FAMILY = { Point: "point", MultiPoint: "point", LineString: "line", MultiLineString: "line", Polygon: "polygon", MultiPolygon: "polygon" };
+const FAMILY_TYPES = { point: ["POINT", "MULTIPOINT"], line: ["LINESTRING", "MULTILINESTRING"], polygon: ["POLYGON", "MULTIPOLYGON"] };
+
+const tableKey = (props = {}) =>
+  String(props._dataset || (props._geocoded ? "geocoded_addresses" : "features")).toLowerCase().replace(/\W+/g, "_");
+
+// dataset → features; a dataset mixing points and polygons (Montgomery) gets a table per geometry family
+function groupTables(features) {
+  const byKey = new Map();
+  for (const f of features) {
+    if (!FAMILY[f.geometry?.type]) continue;
+    const k = tableKey(f.properties);
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(f);
+  }
+  const tables = [];
+  for (const [key, feats] of byKey) {
+    const families = [...new Set(feats.map(f => FAMILY[f.geometry.type]))];
+    for (const fam of families) {
+      const members = feats.filter(f => FAMILY[f.geometry.type] === fam);
+      const multi = members.some(f => f.geometry.type.startsWith("Multi"));
+      tables.push({ name: families.length > 1 ? `${key}_${fam}s` : key, type: FAMILY_TYPES[fam][multi ? 1 : 0], multi, features: members });
+    }
+  }
+  return tables;
+}
+
+// ---------- columns ----------
+
+// esriFieldType → GeoPackage column type; anything else (blobs, rasters) goes in as TEXT
+const ESRI_TYPES = {
+  esriFieldTypeOID: "INTEGER", esriFieldTypeInteger: "INTEGER", esriFieldTypeBigInteger: "INTEGER", esriFieldTypeSmallInteger: "SMALLINT",
+  esriFieldTypeDouble: "DOUBLE", esriFieldTypeSingle: "FLOAT", esriFieldTypeDate: "DATETIME",
+  esriFieldTypeString: "TEXT", esriFieldTypeGUID: "TEXT", esriFieldTypeGlobalID: "TEXT", esriFieldTypeXML: "TEXT",
+};
+
+// Fields whose values lib/attributes.js swaps for descriptions (domains, feature types / subtypes)
+function codedFields(info) {
+  const coded = new Set((info.fields || []).filter(f => f.domain?.type === "codedValue").map(f => f.name));
+  const typeField = info.typeIdField || info.subtypeField;
+  if (typeField) coded.add(typeField);
+  for (const t of info.types || info.subtypes || []) {
+    for (const [field, d] of Object.entries(t.domains || {})) if (d?.type === "codedValue") coded.add(field);
+  }
+  return coded;
+}
+
+// Property name → { type (esriFieldType), coded } from each feature's registry layer
+// definition, under the field's own name and its curated alias. Geocoded points and
+// layers whose definition can't be read add nothing (their columns are typed by value).
+async function layerFields(features) {
+  const byBase = new Map(); // layer base → Promise<info | null>
+  const out = new Map();
+  for (const f of features) {
+    const def = layerDef(f.properties);
+    if (!def?.base) continue;
+    if (!byBase.has(def.base)) byBase.set(def.base, fetchLayerDefinition(def.base).then(r => r.info, () => null));
+    const info = await byBase.get(def.base);
+    const schema = fieldSchemaOf(info);
+    if (!schema) continue;
+    const coded = codedFields(info);
+    for (const { name, type } of schema.values()) {
+      const field = { type, coded: coded.has(name) };
+      for (const key of [name, outputFieldName(f.properties, name)]) if (!out.has(key)) out.set(key, field);
+    }
+  }
+  return out;
+}
+
+// GeoJSON values → SQLite column types, widened across features (INTEGER + REAL → REAL, anything else mixed → TEXT)
+function valueType(v) {
+  if (typeof v === "boolean") return "BOOLEAN";
+  if (typeof v === "number") return Number.isInteger(v) ? "INTEGER" : "REAL";
+  return "TEXT";
+}
+
+// Layer fields take their definition's type; a coded field holding descriptions (not
+// `raw`) and properties of our own (`_assetId` …) are typed by their values.
+function columnsFor(features, fields) {
+  const types = new Map(), described = new Set();
+  for (const f of features) {
+    for (const [k, v] of Object.entries(f.properties || {})) {
+      if (v === null || v === undefined) { if (!types.has(k)) types.set(k, null); continue; }
+      if (typeof v !== "number") described.add(k);
+      const t = valueType(v), prev = types.get(k);
+      types.set(k, !prev || prev === t ? t : (prev !== "TEXT" && t !== "TEXT" && prev !== "BOOLEAN" && t !== "BOOLEAN") ? "REAL" : "TEXT");
+    }
+  }
+  return [...types].map(([field, guessed]) => {
+    const def = fields.get(field);
+    const dataType = def && !(def.coded && described.has(field)) ? ESRI_TYPES[def.type] || "TEXT" : guessed || "TEXT";
+    return { field, name: RESERVED.test(field) ? `${field}_` : field, dataType };
+  });
+}
+
+// Nulls are left out: the column stays NULL (the writer would turn a null into 0 / a date).
+// Dates, epoch milliseconds (raw) or ISO strings, go in as ISO DATETIME.
+function rowProps(props = {}, columns) {
+  const out = {};
+  for (const { field, name, dataType } of columns) {
+    const v = props[field] ?? null;
+    if (v === null) continue;
+    if (dataType === "DATETIME") {
+      const d = new Date(v);
+      if (!Number.isNaN(d.getTime())) out[name] = d;
+    } else {
+      out[name] = dataType === "TEXT" ? (typeof v === "object" ? JSON.stringify(v) : String(v))
+        : dataType === "BOOLEAN" ? Boolean(v) : v;
+    }
+  }
+  return out;
+}
+
+const asMulti = (g) => (g.type.startsWith("Multi") ? g : { type: `Multi${g.type}`, coordinates: [g.coordinates] });
+
+function extentOf(features) {
+  const boxes = features.map(f => bbox(f.geometry));
+  return [Math.min(...boxes.map(b => b[0])), Math.min(...boxes.map(b => b[1])), Math.max(...boxes.map(b => b[2])), Math.max(...boxes.map(b => b[3]))];
+}
+
+// ---------- links ----------
+
+// Without bulk's CSV rows (single convert, nearby): one row per feature, same columns
+function featureLinkRows(features) {
+  const header = ["assetId", "dataset", "lat", "lng", "googleMapsUrl", "status", "geocodeScore", "matchedAddress"];
+  return [header, ...features.map(f => {
+    const p = f.properties || {};
+    const pin = f.geometry ? labelPoint(f.geometry) : null;
+    return [p._assetId ?? "", p._dataset ?? "", pin ? String(pin.lat) : "", pin ? String(pin.lng) : "", pin ? googleMapsUrl(pin) : "",
+      p._geocoded ? "geocoded" : "ok", p._geocoded && p.Score != null ? String(p.Score) : "", p.MatchedAddress ?? ""];
+  })];
+}
+
+// ---------- package ----------
+
+// features (+ optional [header, ...rows] from mapbuddy_links.csv) → GeoPackage Buffer, EPSG:4326
+export async function buildGpkg(features, { links } = {}) {
+  const { GeoPackageAPI, GeometryColumns, BoundingBox } = await getGeoPackage();
+  const file = path.join(os.tmpdir(), `mapbuddy-${crypto.randomUUID()}.gpkg`);
+  const gpkg = await GeoPackageAPI.create(file);
+  try {
+    for (const t of groupTables(features)) {
+      const gc = new GeometryColumns();
+      Object.assign(gc, { table_name: t.name, column_name: "geom", geometry_type_name: t.type, z: 0, m: 0, srs_id: 4326 });
+      const columns = columnsFor(t.features, await layerFields(t.features));
+      const [minx, miny, maxx, maxy] = extentOf(t.features);
+      gpkg.createFeatureTable(t.name, gc, columns.map(({ name, dataType }) => ({ name, dataType })), new BoundingBox(minx, maxx, miny, maxy), 4326);
+      for (const f of t.features) {
+        gpkg.addGeoJSONFeatureToGeoPackage({ type: "Feature", properties: rowProps(f.properties, columns), geometry: t.multi ? asMulti(f.geometry) : f.geometry }, t.name);
+      }
+    }
+
+    const [header, ...rows] = links || featureLinkRows(features);
+    gpkg.createAttributesTableFromProperties(LINKS_TABLE, header.map(name => ({ name: RESERVED.test(name) ? `${name}_` : name, dataType: LINK_TYPES[name] || "TEXT" })));
+    for (const r of rows) {
+      gpkg.addAttributeRow(LINKS_TABLE, Object.fromEntries(header.map((name, i) => {
+        const v = r[i] === "" || r[i] === undefined ? null : r[i];
+        return [RESERVED.test(name) ? `${name}_` : name, v !== null && LINK_TYPES[name] ? Number(v) : v];
+      })));
+    }
+  } finally {
+    gpkg.close();
+  }
+  try {
+    return await fs.readFile(file);
+  } finally {
+    await fs.rm(file, { force: true });
+  }
+}
@@ -0,0 +1,87 @@
+// lib/gpx.js
+// GPX 1.1 for handheld GPS units and GPS apps: every asset gets a waypoint (the
+// point itself, or its label point) named by asset ID with the dataset label as
+// description; lines become tracks, polygon outlines closed routes.
+
+import { DATASETS } from "./datasets.js";
+import { labelPoint } from "./geometry.js";
+import { escXml } from "./xml.js";
+
+const fix = (n) => Number(n).toFixed(7);
+
+function describe(props = {}) {
+  const label = DATASETS[props._dataset]?.label;
+  const source = props._sourceLabel && props._sourceLabel !== label ? props._sourceLabel : "";
+  return [label, source].filter(Boolean).join(" — ") || (props._geocoded ? "Geocoded address" : "");
+}
+
+const assetName = (props = {}) => String(props._assetId ?? props.MatchedAddress ?? "");
+
+const gpxPoint = (tag, [lng, lat], name, desc) =>
+  `<${tag} lat="${fix(lat)}" lon="${fix(lng)}">${name ? `<name>${escXml(name)}</name>` : ""}${desc ? `<desc>${escXml(desc)}</desc>` : ""}</${tag}>`;
+
+// ---------- geometry → GPX parts ----------
+
+function lineParts(g) {
+  if (g.type === "LineString") return [g.coordinates];
+  if (g.type === "MultiLineString") return g.coordinates;
+  if (g.type === "GeometryCollection") return g.geometries.flatMap(lineParts);
+  return [];
+}
+
+// Outer rings only: a route is a path to walk, holes don't help anyone find the boundary
+function outerRings(g) {
+  if (g.type === "Polygon") return [g.coordinates[0]];
+  if (g.type === "MultiPolygon") return g.coordinates.map(p => p[0]);
+  if (g.type === "GeometryCollection") return g.geometries.flatMap(outerRings);
+  return [];
+}
+
+function pointParts(g) {
+  if (g.type === "Point") return [g.coordinates];
+  if (g.type === "MultiPoint") return g.coordinates;
+  if (g.type === "GeometryCollection") return g.geometries.flatMap(pointParts);
+  return [];
+}
+
+// ---------- document ----------
+
+// features → GPX Buffer: <wpt>s, then <rte>s (polygons), then <trk>s (lines), as GPX 1.1 orders them.
+export function buildGpx(features, { name = "MapBuddy" } = {}) {
+  const wpts = [], rtes = [], trks = [];
+
+  for (const f of features) {
+    const g = f.geometry;
+    if (!g) continue;
+    const props = f.properties || {};
+    const id = assetName(props), desc = describe(props);
+
+    const points = pointParts(g);
+    if (points.length) points.forEach((p, i) => wpts.push(gpxPoint("wpt", p, points.length > 1 ? `${id} (${i + 1})` : id, desc)));
+    else {
+      const pin = labelPoint(g);
+      if (pin) wpts.push(gpxPoint("wpt", [pin.lng, pin.lat], id, desc));
+    }
+
+    const rings = outerRings(g);
+    rings.forEach((ring, i) => {
+      // Close the ring explicitly so the route ends where it started
+      const r = ring.length && (ring[0][0] !== ring.at(-1)[0] || ring[0][1] !== ring.at(-1)[1]) ? [...ring, ring[0]] : ring;
+      const rname = rings.length > 1 ? `${id} boundary (${i + 1})` : `${id} boundary`;
+      rtes.push(`<rte><name>${escXml(rname)}</name>${desc ? `<desc>${escXml(desc)}</desc>` : ""}${r.map(p => gpxPoint("rtept", p)).join("")}</rte>`);
+    });
+
+    const lines = lineParts(g);
+    if (lines.length) {
+      const segs = lines.map(l => `<trkseg>${l.map(p => gpxPoint("trkpt", p)).join("")}</trkseg>`).join("");
+      trks.push(`<trk><name>${escXml(id)}</name>${desc ? `<desc>${escXml(desc)}</desc>` : ""}${segs}</trk>`);
+    }
+  }
+
+  const doc = `<?xml version="1.0" encoding="UTF-8"?>\n`
+    + `<gpx version="1.1" creator="MapBuddy" xmlns="http://www.topografix.com/GPX/1/1">\n`
+    + `<metadata><name>${escXml(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`
+    + [...wpts, ...rtes, ...trks].join("\n")
+    + `\n</gpx>\n`;
+  return Buffer.from(doc, "utf8");
+}
@@ -0,0 +1,122 @@
+// lib/group.js
+// Group export: every feature whose grouping field equals a value — all of a TMDL
+// PROJECT_ID, a Montgomery P_ACCT or GRID — instead of one feature per ID. Layers
+// are queried with the where builder and paged past maxRecordCount; the result
+// comes with a row count and total area (polygons only).
+
+import { TMDL_ANY } from "./datasets.js";
+import { queryAllAsGeoJSON } from "./arcgis.js";
+import { layersFor, assetIdOf } from "./spatial.js";
+import { MAX_CONCURRENCY, createLimiter } from "./lookup.js";
+import { equalsAny, knownFields, layerFieldSchema, resolveField } from "./where.js";
+import { areaSqMeters } from "./geometry.js";
+import { csvText, itemDataset, makeRecord, presentRecords } from "./bulk.js";
+
+export const MAX_GROUP_FEATURES = 2000;
+const SQ_FT_PER_SQ_M = 1 / 0.09290304;
+const SQ_M_PER_ACRE = 4046.8564224;
+
+// ---------- layers ----------
+
+// Dataset key (or ad-hoc layer) → [{ dataset, base, idFields, label }]
+function groupTargets(datasetKey, layer) {
+  if (layer) return [{ dataset: layer.key, base: layer.base, idFields: layer.idFields, label: layer.label }];
+  const { layers, unknown } = layersFor(datasetKey === "mdsha_tmdl_any" ? TMDL_ANY : [datasetKey]);
+  return unknown.length ? [] : layers;
+}
+
+// The dataset's layers that have the grouping field (Montgomery: only the stormwater
+// points carry P_ACCT) → { layers: [{ ...target, field }] } or { status, error }.
+export async function groupLayers(datasetKey, groupField, { layer = null, limit = createLimiter(MAX_CONCURRENCY) } = {}) {
+  try { resolveField(null, groupField); } catch (e) { return { status: 400, error: e.message }; }
+  const targets = groupTargets(datasetKey, layer);
+  if (!targets.length) return { status: 400, error: `Unknown dataset '${datasetKey}'` };
+  const withField = await Promise.all(targets.map(t => limit(async () => {
+    const [field] = knownFields(await layerFieldSchema(t.base), [groupField]);
+    return field ? { ...t, field } : null;
+  })));
+  const layers = withField.filter(Boolean);
+  if (!layers.length) return { status: 400, error: `No layer in '${datasetKey}' has a field '${groupField}'` };
+  return { layers };
+}
+
+// ---------- fetching ----------
+
+// One group value → { hits: [{ dataset, label, field, id, feature }], errors: [{ dataset, layer, error }], truncated }
+export async function fetchGroup(layers, value, limit = createLimiter(MAX_CONCURRENCY)) {
+  const errors = [];
+  let truncated = false;
+  const perLayer = await Promise.all(layers.map(lyr => limit(async () => {
+    const where = equalsAny(lyr.field, [value]);
+    if (!where) return []; // e.g. "P-12" against a numeric field
+    try {
+      const r = await queryAllAsGeoJSON(lyr.base, { where }, MAX_GROUP_FEATURES);
+      if (r.truncated) truncated = true;
+      return r.features.map(feature => ({ dataset: lyr.dataset, label: lyr.label, field: lyr.field.name, id: assetIdOf(feature.properties, lyr.idFields), feature }));
+    } catch (e) {
+      errors.push({ dataset: lyr.dataset, layer: lyr.label, error: String(e?.message || e) });
+      return [];
+    }
+  })));
+  const hits = perLayer.flat();
+  if (hits.length > MAX_GROUP_FEATURES) truncated = true;
+  return { hits: hits.slice(0, MAX_GROUP_FEATURES), errors, truncated };
+}
+
+// Hit → a bulk record; the asset ID is the feature's own (its OBJECTID when it has none).
+export function groupRecord(hit) {
+  const rec = makeRecord(hit.id || `OBJECTID ${hit.feature.properties?.OBJECTID ?? "?"}`, hit.dataset, hit.feature, hit.field);
+  rec.feature.properties._sourceLabel = hit.label;
+  rec.feature.properties._matchMode = "group";
+  return rec;
+}
+
+// ---------- summary ----------
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Features → { count, areaSqFt, acres }; points and lines add no area.
+export function groupSummary(features) {
+  const m2 = features.reduce((sum, f) => sum + areaSqMeters(f.geometry), 0);
+  return { count: features.length, areaSqFt: round(m2 * SQ_FT_PER_SQ_M, 1), acres: round(m2 / SQ_M_PER_ACRE, 3) };
+}
+
+// Per-group rows plus a TOTAL row, for mapbuddy_group_summary.csv
+export function groupSummaryFile(groupField, groups) {
+  const rows = [[groupField, "dataset", "status", "count", "areaSqFt", "acres", "truncated"]];
+  const total = { count: 0, areaSqFt: 0, acres: 0 };
+  for (const g of groups) {
+    rows.push([g.value, g.dataset || "", g.status, String(g.count || 0), String(g.areaSqFt || 0), String(g.acres || 0), g.truncated ? "yes" : ""]);
+    total.count += g.count || 0; total.areaSqFt += g.areaSqFt || 0; total.acres += g.acres || 0;
+  }
+  rows.push(["TOTAL", "", "", String(total.count), String(round(total.areaSqFt, 1)), String(round(total.acres, 3)), ""]);
+  return ["mapbuddy_group_summary.csv", Buffer.from(csvText(rows), "utf8")];
+}
+
+// ---------- bulk ----------
+
+// Bulk group mode: each item's ID is a group value; its `dataset` column, else the
+// run default, picks the layers (blank rows are dropped). → { records, groups }: a
+// record per feature (a "not found" one for an empty group) and per item { value,
+// dataset, status, count, areaSqFt, acres, truncated, records: how many are its }.
+export async function resolveGroupItems(items, defDataset, groupField, { raw = false, layer = null, includeRelated = false, includeAttachments = false } = {}) {
+  const limit = createLimiter(MAX_CONCURRENCY);
+  const layerSets = new Map(); // dataset key → Promise<{ layers } | { error }>
+  const rows = items.map(it => ({ value: String(it.assetId || "").trim(), dataset: layer ? layer.key : itemDataset(it, defDataset) })).filter(r => r.value);
+  const groups = await Promise.all(rows.map(async ({ value, dataset }) => {
+    if (!dataset) return { value, dataset: "", status: "no dataset", records: [] };
+    if (!groupTargets(dataset, layer).length) return { value, dataset, status: "unknown dataset", records: [] };
+    if (!layerSets.has(dataset)) layerSets.set(dataset, groupLayers(dataset, groupField, { layer, limit }));
+    const set = await layerSets.get(dataset);
+    if (set.error) return { value, dataset, status: "unknown field", records: [] };
+
+    const { hits, errors, truncated } = await fetchGroup(set.layers, value, limit);
+    if (!hits.length) return { value, dataset, status: errors.length ? "lookup error" : "not found", records: [makeRecord(value, dataset, null)] };
+    const records = hits.map(groupRecord);
+    return { value, dataset, status: "ok", ...groupSummary(records.map(r => r.feature)), truncated, records };
+  }));
+
+  const records = groups.flatMap(g => g.records);
+  await presentRecords(records, { raw, layer, includeRelated, includeAttachments });
+  return { records, groups: groups.map(({ records: recs, ...g }) => ({ ...g, records: recs.length })) };
+}
@@ -0,0 +1,186 @@
+// lib/jobs.js
+// Resumable bulk jobs. Each job is a small JSON state file (items, cursor,
+// per-item status) plus an append-only NDJSON file of full records. Items are
+// resolved in batches (one set of IN-queries per batch) and both files are
+// written after every batch, so a poll that times out loses at most the batch
+// in flight and the next poll picks up at `cursor`. Packing the zip gets a poll
+// of its own, after the one that finished the last batch; attachment downloads
+// are capped at MAPBUDDY_JOB_MAX_ATTACHMENTS (default 100) so it fits in one.
+//
+// Serverless note: the default directory is the function's tmpdir, which is
+// per-instance. Point MAPBUDDY_JOB_DIR at shared storage for multi-instance use.
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import { buildBulkZip, normalizeDefaultDataset, resolveBulkItems } from "./bulk.js";
+import { groupSummaryFile, resolveGroupItems } from "./group.js";
+
+const JOB_DIR = process.env.MAPBUDDY_JOB_DIR || path.join(os.tmpdir(), "mapbuddy-jobs");
+const STEP_BUDGET_MS = Number(process.env.MAPBUDDY_JOB_BUDGET_MS) || 8000;
+const BATCH_SIZE = 50;
+export const MAX_JOB_ITEMS = 1000;
+const MAX_JOB_ATTACHMENTS = Number(process.env.MAPBUDDY_JOB_MAX_ATTACHMENTS) || 100;
+
+const ID_RE = /^[0-9a-f-]{36}$/;
+export const isJobId = (id) => ID_RE.test(String(id || ""));
+
+const jobPath = (id) => path.join(JOB_DIR, `${id}.json`);
+const recordsPath = (id) => path.join(JOB_DIR, `${id}.records.ndjson`);
+const zipPath = (id) => path.join(JOB_DIR, `${id}.zip`);
+
+export async function loadJob(id) {
+  if (!isJobId(id)) return null;
+  try { return JSON.parse(await fs.readFile(jobPath(id), "utf8")); }
+  catch { return null; }
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await fs.mkdir(JOB_DIR, { recursive: true });
+  const tmp = `${jobPath(job.id)}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(job));
+  await fs.rename(tmp, jobPath(job.id));
+}
+
+// Records in item order; a replayed item (crash between append and save) keeps its last copy.
+// Group jobs write several records per item, numbered by `sub`.
+async function loadRecords(id) {
+  let raw = "";
+  try { raw = await fs.readFile(recordsPath(id), "utf8"); } catch { /* none yet */ }
+  const byIndex = new Map();
+  for (const line of raw.split("\n")) {
+    if (!line) continue;
+    try { const r = JSON.parse(line); byIndex.set(`${r.index}:${r.sub || 0}`, r); } catch { /* torn write */ }
+  }
+  return [...byIndex.values()].sort((a, b) => a.index - b.index || (a.sub || 0) - (b.sub || 0));
+}
+
+// One batch of items → { results: per-item progress, lines: NDJSON records }
+async function resolveBatch(job, batch) {
+  const opts = { raw: Boolean(job.raw), layer: job.layer || null, includeRelated: Boolean(job.includeRelated), includeAttachments: Boolean(job.includeAttachments) };
+  if (job.groupField) {
+    const { records, groups } = await resolveGroupItems(batch, job.defaultDataset, job.groupField, opts);
+    const lines = [];
+    let next = 0;
+    groups.forEach((g, i) => {
+      for (let sub = 0; sub < g.records; sub++) lines.push(JSON.stringify({ ...records[next++], index: job.cursor + i, sub }));
+    });
+    const results = groups.map(({ value, records: _n, ...g }) => ({ assetId: value, ...g, googleMapsUrl: null }));
+    return { results, lines };
+  }
+  const recs = await resolveBulkItems(batch, job.defaultDataset, opts);
+  return {
+    results: recs.map(rec => ({ assetId: rec.assetId, dataset: rec.dataset, status: rec.status, googleMapsUrl: rec.googleMapsUrl || null,
+      ...(rec.geocodeScore != null ? { geocodeScore: rec.geocodeScore } : {}) })),
+    lines: recs.map((rec, i) => JSON.stringify({ ...rec, index: job.cursor + i })),
+  };
+}
+
+export async function createJob({ items, defaultDataset, format, srs = 4326, raw = false, layer = null, groupField = null, includeRelated = false, includeAttachments = false }) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",            // queued | running | packing | done | failed
+    createdAt: new Date().toISOString(),
+    format: String(format || "").toLowerCase(),
+    srs,                         // EPSG code for GeoJSON / Shapefile output
+    raw,                         // skip domain decoding / field curation
+    layer,                       // ad-hoc layer definition (lib/adhocLayer.js) instead of datasets
+    groupField,                  // group export: items are values of this field (lib/group.js)
+    includeRelated,              // attach related records (lib/related.js)
+    includeAttachments,          // download feature attachments at pack time (lib/attachments.js)
+    defaultDataset: normalizeDefaultDataset(defaultDataset) || null,
+    items: items
+      .map(it => ({ assetId: String(it.assetId || "").trim(), dataset: it.dataset || undefined }))
+      .filter(it => it.assetId),
+    cursor: 0,                   // index of the next item to process
+    results: [],                 // per-item { assetId, dataset, status, googleMapsUrl }
+    leaseUntil: 0,
+    error: null,
+  };
+  await saveJob(job);
+  return job;
+}
+
+// Re-queue a failed job; processing restarts at the saved cursor.
+export async function resumeJob(job) {
+  if (job.status === "failed") {
+    job.status = job.cursor >= job.items.length ? "packing" : "running";
+    job.error = null;
+    job.leaseUntil = 0;
+    await saveJob(job);
+  }
+  return job;
+}
+
+// Work on the job for up to budgetMs: resolve batches until the deadline, or,
+// once every item is resolved, pack the zip. A lease keeps overlapping polls from
+// processing the same items twice; an expired lease (timed-out poll) is ignored.
+export async function advanceJob(job, budgetMs = STEP_BUDGET_MS) {
+  if (job.status === "done" || job.status === "failed") return job;
+  const now = Date.now();
+  if (job.leaseUntil > now) return job;
+
+  const packing = job.cursor >= job.items.length;
+  job.status = packing ? "packing" : "running";
+  job.leaseUntil = now + budgetMs + 5000;
+  await saveJob(job);
+
+  const deadline = now + budgetMs;
+  try {
+    if (packing) {
+      const extra = job.groupField ? [groupSummaryFile(job.groupField, job.results.map(r => ({ ...r, value: r.assetId })))] : [];
+      const { buffer, successCount } = await buildBulkZip(await loadRecords(job.id), job.format, extra, { srs: job.srs || 4326, maxAttachments: MAX_JOB_ATTACHMENTS });
+      if (buffer) await fs.writeFile(zipPath(job.id), buffer);
+      job.successCount = successCount;
+      job.status = "done";
+    } else {
+      // Always finish at least one batch so every poll makes progress.
+      for (let first = true; job.cursor < job.items.length && (first || Date.now() < deadline); first = false) {
+        const batch = job.items.slice(job.cursor, job.cursor + BATCH_SIZE);
+        const { results, lines } = await resolveBatch(job, batch);
+        results.forEach((r, i) => { job.results[job.cursor + i] = r; });
+        if (lines.length) await fs.appendFile(recordsPath(job.id), lines.join("\n") + "\n");
+        job.cursor += batch.length;
+        await saveJob(job);
+      }
+      if (job.cursor >= job.items.length) job.status = "packing"; // the next poll packs
+    }
+  } catch (e) {
+    job.status = "failed";
+    job.error = String(e?.message || e);
+  }
+
+  job.leaseUntil = 0;
+  await saveJob(job);
+  return job;
+}
+
+export async function readJobZip(job) {
+  try { return await fs.readFile(zipPath(job.id)); }
+  catch { return null; }
+}
+
+// Public progress view (no geometry).
+export function jobSummary(job) {
+  const counts = {};
+  for (const r of job.results) if (r) counts[r.status] = (counts[r.status] || 0) + 1;
+  const total = job.items.length;
+  return {
+    id: job.id,
+    status: job.status,
+    format: job.format,
+    srs: job.srs || 4326,
+    total,
+    completed: job.cursor,
+    percent: total ? Math.round(100 * job.cursor / total) : 100,
+    counts,
+    error: job.error,
+    items: job.items.map((it, i) => job.results[i]
+      || { assetId: it.assetId, dataset: it.dataset || job.defaultDataset, status: "pending", googleMapsUrl: null }),
+    downloadUrl: job.status === "done" && job.successCount ? `/api/bulk/jobs/${job.id}?download=1` : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
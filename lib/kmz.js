@@ -0,0 +1,171 @@
+// lib/kmz.js
+// Styled KML packaged as KMZ: per-dataset symbology from the registry (`style`:
+// line / fill colours, a point icon drawn once per style and embedded in the
+// archive, label field) and an HTML balloon with the matched ID, the dataset's
+// attributes, any related records (lib/related.js) and a "Navigate" Google Maps link.
+// Features are GeoJSON carrying the usual _dataset / _assetId / _sourceLabel /
+// _matchedField (and optional _related) properties.
+
+import AdmZip from "adm-zip";
+import { createCanvas } from "@napi-rs/canvas";
+import { DATASETS } from "./datasets.js";
+import { labelPoint } from "./geometry.js";
+import { outputFieldName } from "./attributes.js";
+import { relatedHtml } from "./related.js";
+import { escXml } from "./xml.js";
+
+const DEFAULT_STYLE = { color: "#2563eb", fill: "#2563eb", fillOpacity: 0.25, width: 2, icon: "circle" };
+const MAX_BALLOON_FIELDS = 12;
+const HIDDEN_FIELDS = /^(OBJECTID(_1)?|FID|GLOBALID|SHAPE[._].*|_.*)$/i;
+const ICON_PX = 64;
+
+// ---------- styles ----------
+
+// Dataset style, overridden by the Montgomery inner layer the feature came from.
+export function styleFor(props = {}) {
+  const ds = DATASETS[props._dataset];
+  const layer = ds?.layers?.find(l => l.label === props._sourceLabel);
+  return { ...DEFAULT_STYLE, ...(ds?.style || {}), ...(layer?.style || {}) };
+}
+
+// "#rrggbb" + opacity → KML's aabbggrr
+function kmlColor(hex, opacity = 1) {
+  const h = String(hex).replace(/^#/, "").padEnd(6, "0").slice(0, 6);
+  const a = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, "0");
+  return `${a}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`.toLowerCase();
+}
+
+function drawIcon(shape, color) {
+  const s = ICON_PX, canvas = createCanvas(s, s), ctx = canvas.getContext("2d");
+  ctx.fillStyle = color;
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  if (shape === "square") ctx.rect(12, 12, 40, 40);
+  else if (shape === "diamond") { ctx.moveTo(32, 5); ctx.lineTo(59, 32); ctx.lineTo(32, 59); ctx.lineTo(5, 32); ctx.closePath(); }
+  else if (shape === "triangle") { ctx.moveTo(32, 6); ctx.lineTo(59, 56); ctx.lineTo(5, 56); ctx.closePath(); }
+  else ctx.arc(32, 32, 24, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  return canvas.toBuffer("image/png");
+}
+
+function styleKml(id, st, iconHref) {
+  return `<Style id="${id}">`
+    + `<IconStyle><scale>0.9</scale><Icon><href>${iconHref}</href></Icon><hotSpot x="0.5" y="0.5" xunits="fraction" yunits="fraction"/></IconStyle>`
+    + `<LabelStyle><scale>0.8</scale></LabelStyle>`
+    + `<LineStyle><color>${kmlColor(st.color)}</color><width>${st.width}</width></LineStyle>`
+    + `<PolyStyle><color>${kmlColor(st.fill, st.fillOpacity)}</color></PolyStyle>`
+    + `<BalloonStyle><text><![CDATA[$[description]]]></text></BalloonStyle>`
+    + `</Style>`;
+}
+
+// ---------- placemarks ----------
+
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+// Registry field names still work once `fields` has renamed them (lib/attributes.js)
+function attrKey(props, field) {
+  const find = (name) => Object.keys(props).find(x => x.toUpperCase() === String(name).toUpperCase());
+  return find(field) ?? find(outputFieldName(props, field));
+}
+
+function attrValue(props, field) {
+  const k = attrKey(props, field);
+  const v = k === undefined ? null : props[k];
+  return v === null || v === undefined || v === "" ? null : v;
+}
+
+// labelField may be one field or a list (first non-empty wins, e.g. TMDL's id fields)
+function placemarkName(props, st) {
+  for (const f of [st.labelField].flat().filter(Boolean)) {
+    const v = attrValue(props, f);
+    if (v !== null) return String(v);
+  }
+  return String(props._assetId ?? "");
+}
+
+function balloonHtml(props, st, pin) {
+  const fields = st.balloonFields
+    || Object.keys(props).filter(k => !HIDDEN_FIELDS.test(k) && props[k] !== null && props[k] !== "" && typeof props[k] !== "object");
+  const rows = fields.slice(0, MAX_BALLOON_FIELDS)
+    .map(f => [attrKey(props, f) ?? f, attrValue(props, f)]).filter(([, v]) => v !== null)
+    .map(([f, v]) => `<tr><td style="color:#64748b;padding:2px 8px 2px 0">${escXml(f)}</td><td style="padding:2px 0">${escXml(v)}</td></tr>`);
+  const source = props._sourceLabel || DATASETS[props._dataset]?.label || "";
+  const matched = props._matchedField ? ` · matched on ${escXml(props._matchedField)}` : "";
+  const nav = pin ? `<p><a href="https://www.google.com/maps/dir/?api=1&amp;destination=${pin.lat.toFixed(6)},${pin.lng.toFixed(6)}">Navigate</a></p>` : "";
+  return `<div style="font-family:Arial,sans-serif;font-size:12px;max-width:340px">`
+    + `<div style="font-size:14px;font-weight:bold">${escXml(props._assetId ?? "")}</div>`
+    + `<div style="color:#64748b;margin-bottom:6px">${escXml(source)}${matched}</div>`
+    + (rows.length ? `<table style="border-collapse:collapse">${rows.join("")}</table>` : "")
+    + relatedHtml(props._related)
+    + nav + `</div>`;
+}
+
+const coordText = (cs) => cs.map(([x, y]) => `${x},${y}`).join(" ");
+const ringKml = (r) => `<LinearRing><coordinates>${coordText(r)}</coordinates></LinearRing>`;
+
+function geometryParts(g) {
+  const c = g.coordinates;
+  switch (g.type) {
+    case "Point": return [`<Point><coordinates>${coordText([c])}</coordinates></Point>`];
+    case "MultiPoint": return c.map(p => `<Point><coordinates>${coordText([p])}</coordinates></Point>`);
+    case "LineString": return [`<LineString><tessellate>1</tessellate><coordinates>${coordText(c)}</coordinates></LineString>`];
+    case "MultiLineString": return c.map(l => `<LineString><tessellate>1</tessellate><coordinates>${coordText(l)}</coordinates></LineString>`);
+    case "Polygon": return [`<Polygon><outerBoundaryIs>${ringKml(c[0])}</outerBoundaryIs>${c.slice(1).map(r => `<innerBoundaryIs>${ringKml(r)}</innerBoundaryIs>`).join("")}</Polygon>`];
+    case "MultiPolygon": return c.flatMap(p => geometryParts({ type: "Polygon", coordinates: p }));
+    case "GeometryCollection": return g.geometries.flatMap(geometryParts);
+    default: return [];
+  }
+}
+
+// Lines and polygons get the label point as an extra <Point>, which is where Google Earth puts the pin.
+function placemarkKml(f, styleId, st) {
+  const props = f.properties || {};
+  const pin = f.geometry ? labelPoint(f.geometry) : null;
+  const parts = f.geometry ? geometryParts(f.geometry) : [];
+  if (pin && f.geometry.type !== "Point" && f.geometry.type !== "MultiPoint") parts.unshift(`<Point><coordinates>${pin.lng},${pin.lat}</coordinates></Point>`);
+  const geom = parts.length === 1 ? parts[0] : parts.length ? `<MultiGeometry>${parts.join("")}</MultiGeometry>` : "";
+  const data = Object.entries(props).filter(([, v]) => v !== null && v !== undefined && typeof v !== "object")
+    .map(([k, v]) => `<Data name="${escXml(k)}"><value>${escXml(v)}</value></Data>`).join("");
+  return `<Placemark><name>${escXml(placemarkName(props, st))}</name><description>${cdata(balloonHtml(props, st, pin))}</description>`
+    + `<styleUrl>#${styleId}</styleUrl><ExtendedData>${data}</ExtendedData>${geom}</Placemark>`;
+}
+
+// ---------- package ----------
+
+// features → KMZ Buffer (doc.kml + files/style_N.png). With `folders`, placemarks
+// are grouped in a <Folder> per dataset (bulk); otherwise they sit in the document.
+export function buildKmz(features, { name = "MapBuddy", folders = false } = {}) {
+  const icons = [];
+  const styles = new Map(); // visual style → { id, st }; label / balloon fields stay per feature
+  const styleId = (st) => {
+    const key = JSON.stringify([st.color, st.fill, st.fillOpacity, st.width, st.icon]);
+    if (!styles.has(key)) {
+      const id = `style_${styles.size + 1}`;
+      icons.push([`files/${id}.png`, drawIcon(st.icon, st.color)]);
+      styles.set(key, { id, st });
+    }
+    return styles.get(key).id;
+  };
+
+  const groups = new Map(); // dataset key → placemark KML[]
+  for (const f of features) {
+    const st = styleFor(f.properties);
+    const key = folders ? f.properties?._dataset || "" : "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(placemarkKml(f, styleId(st), st));
+  }
+
+  const body = folders
+    ? [...groups].map(([key, pms]) => `<Folder><name>${escXml(DATASETS[key]?.label || key || "Geocoded addresses")}</name>${pms.join("\n")}</Folder>`).join("\n")
+    : [...groups.values()].flat().join("\n");
+  const styleDefs = [...styles.values()].map(({ id, st }) => styleKml(id, st, `files/${id}.png`)).join("\n");
+  const doc = `<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escXml(name)}</name>\n${styleDefs}\n${body}\n</Document></kml>`;
+
+  // doc.kml must be the first entry: Google Earth opens the first .kml it finds
+  const kmz = new AdmZip();
+  kmz.addFile("doc.kml", Buffer.from(doc, "utf8"));
+  for (const [file, png] of icons) kmz.addFile(file, png);
+  return kmz.toBuffer();
+}
@@ -0,0 +1,458 @@
+// lib/localArcgis.js
+// Local stand-in for the ArcGIS `query` endpoints and the address locators,
+// answering from GeoJSON fixtures so convert / locate / bulk run offline
+// (MAPBUDDY_UPSTREAM=local). It understands what MapBuddy sends:
+//   where       =, <>, <, >, <=, >=, [NOT] IN, [NOT] LIKE [ESCAPE], IS [NOT] NULL, UPPER(), LOWER(), AND / OR / NOT
+//   objectIds, outFields, returnGeometry, returnCountOnly, outSR (4326 or Web Mercator)
+//   f=json | pjson (Esri JSON) or f=geojson, resultOffset / resultRecordCount paging
+//   envelope, point + distance and polygon filters (polygons test vertices — enough for fixtures)
+//
+// Fixtures live in MAPBUDDY_LOCAL_DIR (default fixtures/local): <datasetKey>.geojson per
+// registry layer (<datasetKey>.<layerIndex>.geojson for multi-layer datasets) and
+// geocoder.geojson (points with an `address`, optionally a fixed `score`) for every
+// locator. A layer without a fixture is empty; unknown fields read as NULL.
+// Layer metadata (`<layer>?f=json`) comes from <fixture>.layer.json when there is one
+// (fields with domains, types / subtypes), otherwise the fields are inferred.
+// Related tables (`queryRelatedRecords`, `<service>/<relatedTableId>?f=json`) come from
+// <fixture>.related.json: { tables: { "<relatedTableId>": { name, fields, rows } } }.
+// Attachments (`queryAttachments`, `<oid>/attachments[/<id>]`) come from <fixture>.attachments.json:
+// { attachments: { "<OBJECTID>": [{ id, name, contentType, base64 }] } }.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DATASETS } from "./datasets.js";
+import { bbox, distanceMeters, flattenCoords } from "./geometry.js";
+
+const LOCAL_DIR = process.env.MAPBUDDY_LOCAL_DIR || fileURLToPath(new URL("../fixtures/local/", import.meta.url));
+const MAX_RECORDS = 1000;
+const WEB_MERCATOR = [3857, 102100, 102113, 900913];
+const UNIT_M = { esriSRUnit_Foot: 0.3048, esriSRUnit_Meter: 1, esriSRUnit_Kilometer: 1000, esriSRUnit_StatuteMile: 1609.344 };
+
+// ---------- fixtures ----------
+
+// layer URL → { file, def }: fixture file name and registry layer
+let fixtureIndex = null;
+function fixtureEntry(base) {
+  if (!fixtureIndex) {
+    fixtureIndex = new Map();
+    for (const [key, ds] of Object.entries(DATASETS)) {
+      if (ds.base) fixtureIndex.set(ds.base, { file: `${key}.geojson`, def: ds });
+      (ds.layers || []).forEach((l, i) => fixtureIndex.set(l.base, { file: `${key}.${i}.geojson`, def: l }));
+    }
+  }
+  return fixtureIndex.get(base);
+}
+const fixtureFor = (base) => fixtureEntry(base)?.file;
+
+// Features get an OBJECTID (1-based) unless the fixture sets one.
+const loaded = new Map();
+function loadFeatures(file) {
+  if (!loaded.has(file)) {
+    loaded.set(file, fs.readFile(path.join(LOCAL_DIR, file), "utf8").then(
+      raw => (JSON.parse(raw).features || []).map((f, i) => ({ properties: { OBJECTID: i + 1, ...f.properties }, geometry: f.geometry })),
+      e => { if (e.code === "ENOENT") return []; throw e; }));
+  }
+  return loaded.get(file);
+}
+
+// ---------- where clauses ----------
+
+const TOKEN = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w.]*)|(<>|!=|<=|>=|[=<>(),]))/y;
+
+function tokenize(where) {
+  const s = String(where), out = [];
+  TOKEN.lastIndex = 0;
+  while (!/^\s*$/.test(s.slice(TOKEN.lastIndex))) {
+    const at = TOKEN.lastIndex;
+    const m = TOKEN.exec(s);
+    if (!m) throw new Error(`Unexpected '${s.slice(at).trim().slice(0, 12)}' in where clause`);
+    if (m[1] !== undefined) out.push({ t: "str", v: m[1].slice(1, -1).replace(/''/g, "'") });
+    else if (m[2] !== undefined) out.push({ t: "num", v: Number(m[2]) });
+    else if (m[3] !== undefined) out.push({ t: "id", v: m[3], u: m[3].toUpperCase() });
+    else out.push({ t: "op", v: m[4] });
+  }
+  return out;
+}
+
+function field(props, name) {
+  const k = Object.keys(props).find(x => x.toUpperCase() === name);
+  return k === undefined ? null : props[k];
+}
+
+function compare(a, b, op) {
+  if (a == null || b == null) return false;
+  const numeric = (typeof a === "number" || typeof b === "number") && !isNaN(Number(a)) && !isNaN(Number(b));
+  const [x, y] = numeric ? [Number(a), Number(b)] : [String(a), String(b)];
+  switch (op) {
+    case "=": return x === y;
+    case "<>": case "!=": return x !== y;
+    case "<": return x < y;
+    case ">": return x > y;
+    case "<=": return x <= y;
+    default: return x >= y;
+  }
+}
+
+const escRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// LIKE pattern → RegExp; after the ESCAPE character the next one is literal
+function likeRegex(pattern, esc) {
+  const s = String(pattern);
+  let re = "";
+  for (let i = 0; i < s.length; i++) {
+    if (esc && s[i] === esc && i + 1 < s.length) re += escRegex(s[++i]);
+    else re += s[i] === "%" ? ".*" : s[i] === "_" ? "." : escRegex(s[i]);
+  }
+  return new RegExp(`^${re}$`, "s");
+}
+
+// where → (props) => boolean
+function compileWhere(where) {
+  const toks = tokenize(where || "1=1");
+  let i = 0;
+  const isKw = (kw) => toks[i]?.t === "id" && toks[i].u === kw;
+  const isOp = (op) => toks[i]?.t === "op" && toks[i].v === op;
+  const expect = (op) => { if (!isOp(op)) throw new Error(`Expected '${op}' in where clause`); i++; };
+
+  function operand() {
+    const tk = toks[i++];
+    if (!tk) throw new Error("Unexpected end of where clause");
+    if (tk.t === "str" || tk.t === "num") return () => tk.v;
+    if (tk.t === "id" && (tk.u === "UPPER" || tk.u === "LOWER") && isOp("(")) {
+      i++;
+      const inner = operand();
+      expect(")");
+      return (p) => { const v = inner(p); return v == null ? v : tk.u === "UPPER" ? String(v).toUpperCase() : String(v).toLowerCase(); };
+    }
+    if (tk.t === "id") return (p) => field(p, tk.u);
+    throw new Error(`Unexpected '${tk.v}' in where clause`);
+  }
+
+  function comparison() {
+    const left = operand();
+    if (isKw("IS")) {
+      i++;
+      const not = isKw("NOT") ? (i++, true) : false;
+      if (!isKw("NULL")) throw new Error("Expected NULL after IS");
+      i++;
+      return (p) => (left(p) == null) !== not;
+    }
+    const not = isKw("NOT") ? (i++, true) : false;
+    if (isKw("IN")) {
+      i++;
+      expect("(");
+      const list = [operand()];
+      while (isOp(",")) { i++; list.push(operand()); }
+      expect(")");
+      return (p) => { const v = left(p); return v != null && list.some(o => compare(v, o(p), "=")) !== not; };
+    }
+    if (isKw("LIKE")) {
+      i++;
+      const pat = operand();
+      const esc = isKw("ESCAPE") ? (i++, operand()) : null;
+      return (p) => { const v = left(p), q = pat(p); return v != null && q != null && likeRegex(q, esc && esc(p)).test(String(v)) !== not; };
+    }
+    const op = toks[i];
+    if (not || op?.t !== "op" || !["=", "<>", "!=", "<", ">", "<=", ">="].includes(op.v)) throw new Error("Expected a comparison in where clause");
+    i++;
+    const right = operand();
+    return (p) => compare(left(p), right(p), op.v);
+  }
+
+  function factor() {
+    if (isKw("NOT")) { i++; const f = factor(); return (p) => !f(p); }
+    if (isOp("(")) { i++; const e = expr(); expect(")"); return e; }
+    return comparison();
+  }
+  function term() {
+    const parts = [factor()];
+    while (isKw("AND")) { i++; parts.push(factor()); }
+    return parts.length === 1 ? parts[0] : (p) => parts.every(f => f(p));
+  }
+  function expr() {
+    const parts = [term()];
+    while (isKw("OR")) { i++; parts.push(term()); }
+    return parts.length === 1 ? parts[0] : (p) => parts.some(f => f(p));
+  }
+
+  const out = expr();
+  if (i < toks.length) throw new Error(`Unexpected '${toks[i].v}' in where clause`);
+  return out;
+}
+
+// ---------- geometry ----------
+
+function parseGeometryParam(g) {
+  if (typeof g !== "string") return g;
+  return g.trim().startsWith("{") ? JSON.parse(g) : g;
+}
+
+// geometry / geometryType / distance / units → (GeoJSON geometry) => boolean, or null
+function spatialFilter(params) {
+  if (!params.geometry) return null;
+  if (params.inSR && Number(params.inSR) !== 4326) throw new Error("The local stand-in only accepts inSR=4326");
+  const g = parseGeometryParam(params.geometry);
+  const type = params.geometryType || "esriGeometryEnvelope";
+
+  if (type === "esriGeometryEnvelope") {
+    const [xmin, ymin, xmax, ymax] = typeof g === "string" ? g.split(",").map(Number) : [g.xmin, g.ymin, g.xmax, g.ymax];
+    return (geom) => { const [a, b, c, d] = bbox(geom); return a <= xmax && c >= xmin && b <= ymax && d >= ymin; };
+  }
+  if (type === "esriGeometryPoint") {
+    const pt = { lng: g.x, lat: g.y };
+    const m = Number(params.distance || 0) * (UNIT_M[params.units] ?? 1);
+    return (geom) => distanceMeters(pt, geom) <= m;
+  }
+  if (type === "esriGeometryPolygon") {
+    const area = { type: "Polygon", coordinates: g.rings };
+    return (geom) => flattenCoords(geom).some(([lng, lat]) => distanceMeters({ lng, lat }, area) === 0)
+      || flattenCoords(area).some(([lng, lat]) => distanceMeters({ lng, lat }, geom) === 0);
+  }
+  throw new Error(`geometryType ${type} is not supported by the local stand-in`);
+}
+
+function projector(outSR) {
+  const wkid = Number(outSR || 4326);
+  if (wkid === 4326) return (c) => c;
+  if (!WEB_MERCATOR.includes(wkid)) throw new Error(`outSR ${wkid} is not supported by the local stand-in (use 4326 or 3857)`);
+  const R = 6378137;
+  return ([x, y]) => [R * x * Math.PI / 180, R * Math.log(Math.tan(Math.PI / 4 + y * Math.PI / 360))];
+}
+
+function reproject(geom, proj) {
+  const walk = (c) => (typeof c[0] === "number" ? proj(c) : c.map(walk));
+  return { type: geom.type, coordinates: walk(geom.coordinates) };
+}
+
+// Esri rings: outer clockwise, holes counter-clockwise.
+function esriRings(polygon) {
+  const area = (r) => r.reduce((s, [x0, y0], k) => { const [x1, y1] = r[(k + 1) % r.length]; return s + (x0 * y1 - x1 * y0); }, 0);
+  return polygon.map((r, k) => ((k === 0) === (area(r) > 0) ? [...r].reverse() : r));
+}
+
+function toEsriGeometry(geom) {
+  const c = geom.coordinates;
+  switch (geom.type) {
+    case "Point": return { x: c[0], y: c[1] };
+    case "MultiPoint": return { points: c };
+    case "LineString": return { paths: [c] };
+    case "MultiLineString": return { paths: c };
+    case "Polygon": return { rings: esriRings(c) };
+    case "MultiPolygon": return { rings: c.flatMap(esriRings) };
+    default: return null;
+  }
+}
+
+// ---------- query ----------
+
+function pickFields(props, outFields) {
+  const list = String(outFields || "*").split(",").map(s => s.trim()).filter(Boolean);
+  if (!list.length || list.includes("*")) return { ...props };
+  const out = {};
+  for (const name of list) {
+    const k = Object.keys(props).find(x => x.toUpperCase() === name.toUpperCase());
+    if (k !== undefined) out[k] = props[k];
+  }
+  return out;
+}
+
+async function queryLayer(file, params) {
+  const where = compileWhere(params.where);
+  const spatial = spatialFilter(params);
+  const proj = projector(params.outSR);
+  const oids = params.objectIds ? new Set(String(params.objectIds).split(",").map(s => s.trim())) : null;
+
+  const matches = (await loadFeatures(file)).filter(f =>
+    (!oids || oids.has(String(f.properties.OBJECTID)))
+    && where(f.properties)
+    && (!spatial || (f.geometry && spatial(f.geometry))));
+  if (String(params.returnCountOnly) === "true") return { count: matches.length };
+
+  const offset = Number(params.resultOffset) || 0;
+  const count = Math.min(Number(params.resultRecordCount) || MAX_RECORDS, MAX_RECORDS);
+  const page = matches.slice(offset, offset + count);
+  const exceeded = offset + count < matches.length;
+  const withGeometry = String(params.returnGeometry ?? "true") !== "false";
+  const wkid = Number(params.outSR || 4326);
+
+  if (params.f === "geojson") {
+    return {
+      type: "FeatureCollection",
+      features: page.map(f => ({
+        type: "Feature",
+        id: f.properties.OBJECTID,
+        properties: pickFields(f.properties, params.outFields),
+        geometry: withGeometry && f.geometry ? reproject(f.geometry, proj) : null,
+      })),
+      ...(exceeded ? { exceededTransferLimit: true, properties: { exceededTransferLimit: true } } : {}),
+    };
+  }
+  return {
+    objectIdFieldName: "OBJECTID",
+    spatialReference: { wkid },
+    features: page.map(f => ({
+      attributes: pickFields(f.properties, params.outFields),
+      ...(withGeometry && f.geometry ? { geometry: toEsriGeometry(reproject(f.geometry, proj)) } : {}),
+    })),
+    ...(exceeded ? { exceededTransferLimit: true } : {}),
+  };
+}
+
+// ---------- layer metadata ----------
+
+function fieldType(name, values) {
+  if (name.toUpperCase() === "OBJECTID") return "esriFieldTypeOID";
+  const present = values.filter(v => v !== null && v !== undefined);
+  if (present.length && present.every(v => typeof v === "number")) return present.every(Number.isInteger) ? "esriFieldTypeInteger" : "esriFieldTypeDouble";
+  return "esriFieldTypeString";
+}
+
+const GEOMETRY_TYPES = { Point: "esriGeometryPoint", MultiPoint: "esriGeometryMultipoint", LineString: "esriGeometryPolyline", MultiLineString: "esriGeometryPolyline", Polygon: "esriGeometryPolygon", MultiPolygon: "esriGeometryPolygon" };
+const REGISTRY_TYPES = { point: "esriGeometryPoint", line: "esriGeometryPolyline", polygon: "esriGeometryPolygon" };
+
+// Inferred from the features: only the fields they carry, so registry id fields a
+// fixture lacks show up as missing (in /api/health too), as they would live. A layer
+// with no fixture at all is an empty layer with the registry's id fields.
+async function layerInfo({ file, def }) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(LOCAL_DIR, file.replace(/\.geojson$/, ".layer.json")), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const features = await loadFeatures(file);
+  const hasFixture = await fs.access(path.join(LOCAL_DIR, file)).then(() => true, () => false);
+  const names = [...new Set(["OBJECTID", ...features.flatMap(f => Object.keys(f.properties)), ...(hasFixture ? [] : def.idFields || [])])];
+  const geomType = features.find(f => f.geometry)?.geometry.type;
+  return {
+    name: file.replace(/\.geojson$/, ""),
+    type: "Feature Layer",
+    geometryType: GEOMETRY_TYPES[geomType] || REGISTRY_TYPES[def.type] || "esriGeometryPolygon",
+    objectIdField: "OBJECTID",
+    maxRecordCount: MAX_RECORDS,
+    capabilities: "Map,Query,Data",
+    fields: names.map(name => ({ name, type: fieldType(name, features.map(f => f.properties[name])), alias: name, domain: null })),
+  };
+}
+
+// ---------- related records ----------
+
+// Rows join to the layer's features on each relationship's keyField (same name on both sides).
+const relatedLoaded = new Map();
+function loadRelated(file) {
+  if (!relatedLoaded.has(file)) {
+    relatedLoaded.set(file, fs.readFile(path.join(LOCAL_DIR, file.replace(/\.geojson$/, ".related.json")), "utf8").then(
+      raw => JSON.parse(raw).tables || {},
+      e => { if (e.code === "ENOENT") return {}; throw e; }));
+  }
+  return relatedLoaded.get(file);
+}
+
+async function queryRelated(layer, params) {
+  const rel = ((await layerInfo(layer)).relationships || []).find(r => String(r.id) === String(params.relationshipId));
+  if (!rel) throw new Error(`Invalid relationshipId '${params.relationshipId ?? ""}'`);
+  const table = (await loadRelated(layer.file))[rel.relatedTableId] || { fields: [], rows: [] };
+  const features = await loadFeatures(layer.file);
+  const relatedRecordGroups = [];
+  for (const oid of String(params.objectIds || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const key = features.find(f => String(f.properties.OBJECTID) === oid)?.properties[rel.keyField];
+    const rows = key == null ? [] : table.rows.filter(r => String(r[rel.keyField]) === String(key));
+    if (rows.length) relatedRecordGroups.push({ objectId: Number(oid), relatedRecords: rows.map(r => ({ attributes: pickFields(r, params.outFields) })) });
+  }
+  return { fields: table.fields, relatedRecordGroups };
+}
+
+// <service>/<relatedTableId> → the table's definition, from a fixture on that service declaring it
+async function relatedTableInfo(base) {
+  const m = base.match(/^(.*)\/(\d+)$/);
+  if (!m) return null;
+  fixtureEntry(base); // builds the index
+  for (const [layerBase, { file }] of fixtureIndex) {
+    if (!layerBase.startsWith(`${m[1]}/`)) continue;
+    const table = (await loadRelated(file))[m[2]];
+    if (table) return { name: table.name, type: "Table", objectIdField: "OBJECTID", capabilities: "Query,Data", fields: table.fields };
+  }
+  return null;
+}
+
+// ---------- attachments ----------
+
+const attachmentsLoaded = new Map();
+function loadAttachments(file) {
+  if (!attachmentsLoaded.has(file)) {
+    attachmentsLoaded.set(file, fs.readFile(path.join(LOCAL_DIR, file.replace(/\.geojson$/, ".attachments.json")), "utf8").then(
+      raw => JSON.parse(raw).attachments || {},
+      e => { if (e.code === "ENOENT") return {}; throw e; }));
+  }
+  return attachmentsLoaded.get(file);
+}
+
+const attachmentInfo = (a) => ({ id: a.id, globalId: null, name: a.name, contentType: a.contentType, size: Buffer.from(a.base64 || "", "base64").length, keywords: "" });
+
+async function queryAttachments(layer, params) {
+  const all = await loadAttachments(layer.file);
+  const attachmentGroups = String(params.objectIds || "").split(",").map(s => s.trim()).filter(oid => all[oid]?.length)
+    .map(oid => ({ parentObjectId: Number(oid), parentGlobalId: null, attachmentInfos: all[oid].map(attachmentInfo) }));
+  return { fields: [], attachmentGroups };
+}
+
+// "<layer>/<oid>/attachments[/<id>]" → { layer, oid, id? }
+function attachmentPath(base) {
+  const m = base.match(/^(.*)\/(\d+)\/attachments(?:\/(\d+))?$/i);
+  const layer = m && fixtureEntry(m[1]);
+  return layer ? { layer, oid: m[2], id: m[3] } : null;
+}
+
+// Same contract as a live download: → { status, data: Buffer, contentType }
+export async function localDownload(url) {
+  const u = new URL(url);
+  const at = attachmentPath(`${u.origin}${u.pathname}`.replace(/\/+$/, ""));
+  const a = at?.id && (await loadAttachments(at.layer.file))[at.oid]?.find(x => String(x.id) === at.id);
+  if (!a) return { status: 404, data: Buffer.from("Attachment not found"), contentType: "text/plain" };
+  return { status: 200, data: Buffer.from(a.base64 || "", "base64"), contentType: a.contentType || "application/octet-stream" };
+}
+
+// ---------- geocoder ----------
+
+const normAddress = (s) => String(s || "").toUpperCase().replace(/[^\w\s]/g, " ").replace(/\s+/g, " ").trim();
+
+async function geocode(params) {
+  const q = normAddress(params.SingleLine);
+  const proj = projector(params.outSR);
+  const candidates = (await loadFeatures("geocoder.geojson"))
+    .filter(f => q && f.geometry?.type === "Point" && normAddress(f.properties.address).startsWith(q))
+    .map(f => {
+      const [x, y] = proj(f.geometry.coordinates);
+      return { address: f.properties.address, location: { x, y }, score: f.properties.score ?? (normAddress(f.properties.address) === q ? 100 : 90), attributes: {} };
+    })
+    .slice(0, Number(params.maxLocations) || 10);
+  return { spatialReference: { wkid: Number(params.outSR || 4326) }, candidates };
+}
+
+// ---------- entry ----------
+
+// Same contract as a live request: → { status, data }. Bad queries come back the
+// way ArcGIS reports them, as a 200 with an `error` body.
+export async function localRequest(url, params = {}) {
+  const u = new URL(url);
+  const base = `${u.origin}${u.pathname}`.replace(/\/+$/, "");
+  const p = { ...Object.fromEntries(u.searchParams), ...params };
+  try {
+    if (/\/GeocodeServer\/findAddressCandidates$/i.test(base)) return { status: 200, data: await geocode(p) };
+    const file = /\/query$/i.test(base) ? fixtureFor(base.replace(/\/query$/i, "")) : null;
+    if (file) return { status: 200, data: await queryLayer(file, p) };
+    const origin = /\/queryRelatedRecords$/i.test(base) ? fixtureEntry(base.replace(/\/queryRelatedRecords$/i, "")) : null;
+    if (origin) return { status: 200, data: await queryRelated(origin, p) };
+    const withAttachments = /\/queryAttachments$/i.test(base) ? fixtureEntry(base.replace(/\/queryAttachments$/i, "")) : null;
+    if (withAttachments) return { status: 200, data: await queryAttachments(withAttachments, p) };
+    const at = attachmentPath(base);
+    if (at && !at.id) return { status: 200, data: { attachmentInfos: ((await loadAttachments(at.layer.file))[at.oid] || []).map(attachmentInfo) } };
+    const layer = fixtureEntry(base);
+    if (layer) return { status: 200, data: await layerInfo(layer) };
+    const table = await relatedTableInfo(base);
+    if (table) return { status: 200, data: table };
+  } catch (e) {
+    return { status: 200, data: { error: { code: 400, message: String(e?.message || e), details: [] } } };
+  }
+  return { status: 404, data: { error: { code: 404, message: `No local layer for ${base}` } } };
+}
@@ -0,0 +1,331 @@
+// lib/lookup.js
+// Asset ID → feature lookups shared by convert / locate / bulk: batched exact
+// lookups per dataset, plus a resolver that finds which datasets an ID exists in
+// when the caller did not pick one.
+
+import { cachedRequest } from "./cache.js";
+import { DATASETS, TMDL_ANY, idPatternDatasets, isTmdlDataset } from "./datasets.js";
+import { esriToGeoJSONFeature, fetchArcgisAsGeoJSON, queryAllAsGeoJSON } from "./arcgis.js";
+import { anyOf, equalsAny, knownFields, layerFieldSchema, likeAny } from "./where.js";
+
+// TMDL variant generator (as in single)
+function tmdlVariants(assetId) {
+  const s = String(assetId || "").trim().toUpperCase();
+  const m = s.match(/^(\d+)\s*-?\s*([A-Z]{2,})$/);
+  if (m) {
+    const num = m[1], suf = m[2];
+    return [ `${num}${suf}`, `${num}-${suf}`, `${num} ${suf}` ];
+  }
+  return [s, s.replace(/-/g,""), s.replace(/\s+/g,""), s.replace(/(\d+)([A-Za-z]+)/,'$1-$2'), s.replace(/(\d+)([A-Za-z]+)/,'$1 $2')];
+}
+
+// ---------- batched lookups ----------
+// Items are grouped by layer and resolved with `field IN (...)` queries, one
+// id field at a time (in registry order) for the IDs still unmatched. Each
+// returned feature is matched back to the requested ID through its variants;
+// the earliest field, then the earliest variant, wins — same as one-by-one.
+
+const IN_CHUNK = 100;          // values per IN (...) list
+export const MAX_CONCURRENCY = 4; // simultaneous ArcGIS requests per bulk run
+const norm = (v) => String(v ?? "").trim().toUpperCase();
+
+// Attribute by field name, tolerating case differences between registry and layer.
+function attr(props, fld) {
+  if (!props) return undefined;
+  if (fld in props) return props[fld];
+  const k = Object.keys(props).find(x => x.toUpperCase() === fld.toUpperCase());
+  return k === undefined ? undefined : props[k];
+}
+
+export function createLimiter(n) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= n || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+// Layers that rejected f=geojson once; skip straight to f=json for the rest of the run.
+const noGeoJSON = new Set();
+
+// All features for one where clause, following exceededTransferLimit pages.
+// Prefers f=geojson and falls back to f=json for servers that lack it.
+async function queryAllFeatures(base, where) {
+  for (const f of ["geojson", "json"]) {
+    if (f === "geojson" && noGeoJSON.has(base)) continue;
+    try {
+      const out = [];
+      for (let offset = 0; ; ) {
+        const p = { where, outFields: "*", returnGeometry: "true", outSR: "4326", f };
+        if (offset) p.resultOffset = String(offset);
+        const r = await cachedRequest(`${base}/query`, p, { timeout: 15000 });
+        if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
+        if (r.data?.error) throw new Error(r.data.error.message || "ArcGIS error");
+        const feats = r.data?.features || [];
+        out.push(...(f === "json" ? feats.map(esriToGeoJSONFeature).filter(Boolean) : feats));
+        if (!r.data?.exceededTransferLimit || !feats.length) break;
+        offset += feats.length;
+      }
+      return out;
+    } catch {
+      if (f === "geojson") noGeoJSON.add(base);
+    }
+  }
+  return [];
+}
+
+// ids: Set of asset IDs → Map(assetId → { feature, field, layer }) for the ones found in this layer
+async function lookupLayer(def, ids, useVariants, limit) {
+  const found = new Map();
+  const schema = await limit(() => layerFieldSchema(def.base));
+  for (const field of knownFields(schema, def.idFields)) {
+    const fld = field.name;
+    const pending = [...ids].filter(id => !found.has(id));
+    if (!pending.length) break;
+
+    // normalized variant → [{ assetId, rank }]
+    const byVariant = new Map();
+    for (const id of pending) {
+      const variants = useVariants ? tmdlVariants(id) : [id];
+      variants.forEach((v, rank) => {
+        const key = norm(v);
+        if (!byVariant.has(key)) byVariant.set(key, []);
+        byVariant.get(key).push({ assetId: id, rank, value: v });
+      });
+    }
+
+    const values = [...new Set([...byVariant.values()].flat().map(x => x.value))];
+    const chunks = [];
+    for (let i = 0; i < values.length; i += IN_CHUNK) chunks.push(values.slice(i, i + IN_CHUNK));
+
+    const wheres = chunks.map(chunk => equalsAny(field, chunk)).filter(Boolean);
+    const pages = await Promise.all(wheres.map(where => limit(() => queryAllFeatures(def.base, where))));
+
+    const best = new Map(); // assetId → { rank, feature }
+    for (const feat of pages.flat()) {
+      for (const m of byVariant.get(norm(attr(feat.properties, fld))) || []) {
+        const cur = best.get(m.assetId);
+        if (!cur || m.rank < cur.rank) best.set(m.assetId, { rank: m.rank, feature: feat });
+      }
+    }
+    for (const [id, { feature }] of best) found.set(id, { feature, field: fld, layer: def.label });
+  }
+  return found;
+}
+
+// datasetKey + Set of IDs → Map(assetId → { feature, field, layer, layerIndex }); Montgomery tries its layers in order.
+// `def` defaults to the registry entry (an ad-hoc layer passes its own, lib/adhocLayer.js).
+export async function lookupDataset(datasetKey, ids, limit, def = DATASETS[datasetKey]) {
+  if (!def.layers) {
+    const found = await lookupLayer(def, ids, isTmdlDataset(datasetKey), limit);
+    for (const hit of found.values()) hit.layerIndex = 0;
+    return found;
+  }
+
+  const found = new Map();
+  for (const [layerIndex, lyr] of def.layers.entries()) {
+    const pending = new Set([...ids].filter(id => !found.has(id)));
+    if (!pending.size) break;
+    for (const [id, hit] of await lookupLayer(lyr, pending, false, limit)) found.set(id, { ...hit, layerIndex });
+  }
+  return found;
+}
+
+// ---------- cross-dataset resolver ----------
+// IDs without a dataset are first looked up in the datasets whose idPatterns
+// they match, then probed in every other registered layer (Leesburg and the
+// Montgomery inner layers included). With exhaustive=false an ID that already
+// hit in stage one skips the probe — enough when only the best match is used.
+
+// ids → Map(assetId → ranked [{ choice, objectId, dataset, label, layer, field, matchMode, patternMatch, summary, feature }]);
+// pattern matches rank first, then registry order. `datasets` narrows the search
+// (e.g. TMDL_ANY for the "mdsha_tmdl_any" pseudo-key).
+export async function resolveAcrossDatasets(ids, { datasets = Object.keys(DATASETS), exhaustive = true, limit = createLimiter(MAX_CONCURRENCY) } = {}) {
+  const keys = datasets.filter(k => DATASETS[k]);
+  const patternKeys = new Map([...ids].map(id => [id, new Set(idPatternDatasets(id))]));
+  const hits = new Map([...ids].map(id => [id, []]));
+
+  const probe = (idsFor) => Promise.all(keys.map(async (key) => {
+    const subset = new Set([...ids].filter(id => idsFor(id, key)));
+    if (!subset.size) return;
+    for (const [id, hit] of await lookupDataset(key, subset, limit)) {
+      const objectId = objectIdOf(hit.feature.properties);
+      hits.get(id).push({
+        choice: objectId === null ? null : `${key}:${hit.layerIndex}:${objectId}`,
+        objectId,
+        dataset: key,
+        label: DATASETS[key].label,
+        layer: hit.layer,
+        field: hit.field,
+        matchMode: "exact",
+        patternMatch: patternKeys.get(id).has(key),
+        summary: attributeSummary(hit.feature.properties, DATASETS[key].idFields || DATASETS[key].layers[hit.layerIndex].idFields),
+        feature: hit.feature,
+      });
+    }
+  }));
+
+  await probe((id, key) => patternKeys.get(id).has(key));
+  await probe((id, key) => !patternKeys.get(id).has(key) && (exhaustive || !hits.get(id).length));
+
+  const order = (c) => (c.patternMatch ? 0 : keys.length) + keys.indexOf(c.dataset);
+  for (const list of hits.values()) list.sort((a, b) => order(a) - order(b));
+  return hits;
+}
+
+// ---------- single-ID candidates ----------
+// convert / locate: exact match on any id field first, then LIKE '%value%'.
+// Every feature the winning pass returns is a candidate; when there is more than
+// one the caller asks the user to pick and comes back with its `choice` token
+// ("<dataset>:<layerIndex>:<objectId>").
+
+const MAX_CANDIDATES = 25;
+const SKIP_SUMMARY = /^(OBJECTID(_1)?|FID|GLOBALID|SHAPE[._].*|_.*)$/i;
+
+// The LIKE pass looks for the value (and its variants) with dashes and spaces swapped
+function likeTerms(vals) {
+  return [...new Set(vals.flatMap(v => [v, v.replace(/-/g, " "), v.replace(/\s+/g, "-")]))];
+}
+
+// fields: resolved id fields (lib/where.js) → where clause, or null when no field can hold the value
+function buildWhere(fields, value, useVariants, pass) {
+  const vals = useVariants ? tmdlVariants(value) : [String(value)];
+  if (pass === "exact") return anyOf(fields.map(f => equalsAny(f, vals)));
+  return anyOf(fields.map(f => likeAny(f, likeTerms(vals))));
+}
+
+// Which id field produced the hit (first in registry order), among the fields the
+// pass's where clause actually tested — LIKE only ever runs on text fields.
+function matchedField(props, fields, value, useVariants, pass) {
+  const vals = useVariants ? tmdlVariants(value) : [String(value)];
+  const terms = (pass === "exact" ? vals : likeTerms(vals)).map(norm);
+  for (const f of fields) {
+    if (pass === "exact" ? !equalsAny(f, vals) : !likeAny(f, vals)) continue;
+    const bare = (s) => (f.kind === "guid" ? s.replace(/[{}]/g, "") : s);
+    const a = bare(norm(attr(props, f.name)));
+    if (!a) continue;
+    if (pass === "exact" ? terms.some(t => bare(t) === a) : terms.some(t => a.includes(t))) return f.name;
+  }
+  return null;
+}
+
+function objectIdOf(props) {
+  const k = Object.keys(props || {}).find(x => /^(OBJECTID|OBJECTID_1|FID)$/i.test(x));
+  return k === undefined ? null : props[k];
+}
+
+// "FACILITY_ID: WP0399 · TYPE: Pond · …" — id fields first, then a few other non-empty attributes.
+export function attributeSummary(props, idFields = [], max = 4) {
+  const keys = [...idFields.filter(f => attr(props, f) != null && attr(props, f) !== ""), ...Object.keys(props || {})];
+  const parts = [];
+  for (const k of new Set(keys)) {
+    const v = attr(props, k);
+    if (SKIP_SUMMARY.test(k) || v === null || v === undefined || v === "" || typeof v === "object") continue;
+    parts.push(`${k}: ${String(v).slice(0, 40)}`);
+    if (parts.length >= max) break;
+  }
+  return parts.join(" · ");
+}
+
+// [{ dataset, layerIndex, base, idFields, label }] for a dataset key (Montgomery → its inner layers),
+// or just the ad-hoc layer when there is one.
+function singleTargets(datasetKeys, layer) {
+  if (layer) return [{ dataset: layer.key, layerIndex: 0, base: layer.base, idFields: layer.idFields, label: layer.label }];
+  return datasetKeys.flatMap(key => {
+    const ds = DATASETS[key];
+    if (!ds) return [];
+    return (ds.layers || [ds]).map((lyr, layerIndex) => ({ dataset: key, layerIndex, base: lyr.base, idFields: lyr.idFields, label: lyr.label || ds.label }));
+  });
+}
+
+function toCandidate(t, feature, field, matchMode) {
+  const objectId = objectIdOf(feature.properties);
+  return {
+    choice: objectId === null ? null : `${t.dataset}:${t.layerIndex}:${objectId}`,
+    objectId,
+    dataset: t.dataset,
+    layer: t.label,
+    field,
+    matchMode,
+    summary: attributeSummary(feature.properties, t.idFields),
+    feature,
+  };
+}
+
+// assetId + dataset keys → { matchMode, candidates: [{ choice, objectId, dataset, layer, field, matchMode, summary, feature }], total }
+// An exact hit anywhere wins over LIKE; a layer that errors is skipped.
+export async function findCandidates(assetId, datasetKeys, layer) {
+  const targets = singleTargets(datasetKeys, layer);
+  const fields = await Promise.all(targets.map(async t => knownFields(await layerFieldSchema(t.base), t.idFields)));
+  for (const pass of ["exact", "like"]) {
+    const perTarget = await Promise.all(targets.map(async (t, i) => {
+      const useVariants = isTmdlDataset(t.dataset);
+      const where = buildWhere(fields[i], assetId, useVariants, pass);
+      if (!where) return [];
+      try {
+        const fc = await fetchArcgisAsGeoJSON(t.base, where);
+        return fc.features.map(f => toCandidate(t, f, matchedField(f.properties, fields[i], assetId, useVariants, pass), pass));
+      } catch { return []; }
+    }));
+    const all = perTarget.flat();
+    if (all.length) return { matchMode: pass, candidates: all.slice(0, MAX_CANDIDATES), total: all.length };
+  }
+  return { matchMode: null, candidates: [], total: 0 };
+}
+
+// Follow-up pick: a `choice` token, or an OBJECTID within the given dataset(s).
+export async function findChosen({ choice, objectId, datasetKeys, layer }) {
+  let targets, oid;
+  if (choice) {
+    const [key, layerIndex, id] = String(choice).split(":");
+    targets = singleTargets([key], key === layer?.key ? layer : null).filter(t => String(t.layerIndex) === layerIndex);
+    oid = id;
+  } else {
+    targets = singleTargets(datasetKeys, layer);
+    oid = objectId;
+  }
+  if (!/^\d+$/.test(String(oid ?? ""))) return null;
+  for (const t of targets) {
+    try {
+      const { features } = await queryAllAsGeoJSON(t.base, { objectIds: String(oid) }, 1);
+      if (features.length) return toCandidate(t, features[0], null, "choice");
+    } catch { /* try the next layer */ }
+  }
+  return null;
+}
+
+// The whole single-asset lookup behind convert / locate:
+//   choice / objectId → that feature;  no dataset → best auto-detected hit;
+//   dataset → exact-then-LIKE candidates, `ambiguous` when more than one.
+//   layer (an ad-hoc layer, lib/adhocLayer.js) → exact-then-LIKE in that layer only.
+// → { hit, candidates, ambiguous, matchMode, total } or { status, error } for bad input.
+export async function lookupSingle({ assetId, dataset, choice, objectId, layer }) {
+  const id = String(assetId ?? "").trim();
+  if (layer) dataset = layer.key;
+  const auto = !dataset || dataset === "auto";
+  const keys = auto ? [] : dataset === "mdsha_tmdl_any" ? TMDL_ANY : [dataset];
+  if (!auto && !layer && !DATASETS[keys[0]]) return { status: 400, error: `Unknown dataset '${dataset}'` };
+
+  if (choice || (objectId !== undefined && objectId !== null && objectId !== "")) {
+    if (!choice && auto) return { status: 400, error: "objectId needs a dataset (or send the candidate's choice token)" };
+    const hit = await findChosen({ choice, objectId, datasetKeys: keys, layer });
+    return { hit, candidates: hit ? [hit] : [], ambiguous: false, matchMode: hit ? "choice" : null, total: hit ? 1 : 0 };
+  }
+  if (!id) return { status: 400, error: "assetId is required" };
+
+  if (auto) {
+    const ranked = (await resolveAcrossDatasets(new Set([id]), { exhaustive: false })).get(id);
+    const hit = ranked[0] || null;
+    return { hit, candidates: ranked, ambiguous: false, matchMode: hit ? "exact" : null, total: ranked.length };
+  }
+
+  const { matchMode, candidates, total } = await findCandidates(id, keys, layer);
+  return { hit: candidates.length === 1 ? candidates[0] : null, candidates, ambiguous: candidates.length > 1, matchMode, total };
+}
+
+// Candidates without geometry, for API responses.
+export const describeCandidates = (list) => list.map(({ feature, ...c }) => c);
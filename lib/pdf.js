@@ -0,0 +1,205 @@
+// lib/pdf.js
+// Printable field sheets: one Letter page per asset with a rendered outline
+// (scale bar + north arrow), label point, Google Maps QR code and attribute table.
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { createCanvas } from "@napi-rs/canvas";
+import QRCode from "qrcode";
+import { bbox, googleMapsUrl, labelPoint } from "./geometry.js";
+import { relatedSummary } from "./related.js";
+
+const PAGE_W = 612, PAGE_H = 792, MARGIN = 36; // US Letter, points
+const MAP_PX_W = 1080, MAP_PX_H = 600;          // canvas size (2x for print)
+const MAP_PT_W = PAGE_W - 2 * MARGIN;
+const MAP_PT_H = MAP_PT_W * MAP_PX_H / MAP_PX_W;
+
+const M_PER_DEG = 111320;
+const FT_PER_M = 3.28084;
+const MIN_SPAN_DEG = 0.0009;                    // ~100 m, so points get some context
+const SCALE_STEPS_FT = [10, 20, 50, 100, 200, 500, 1000, 2000, 5280, 2 * 5280, 5 * 5280, 10 * 5280, 20 * 5280];
+
+const INK = rgb(0.12, 0.16, 0.23);
+const MUTED = rgb(0.42, 0.45, 0.5);
+const RULE = rgb(0.85, 0.87, 0.9);
+
+// ---------- map rendering (canvas → PNG) ----------
+
+// Local equirectangular projection centred on the geometry; good enough at site scale.
+function makeProjection(geom) {
+  const [minx, miny, maxx, maxy] = bbox(geom);
+  const cx = (minx + maxx) / 2, cy = (miny + maxy) / 2;
+  const kx = Math.cos(cy * Math.PI / 180);
+  const w = Math.max((maxx - minx) * kx, MIN_SPAN_DEG);
+  const h = Math.max(maxy - miny, MIN_SPAN_DEG);
+  const pad = 0.12;
+  const s = Math.min(MAP_PX_W * (1 - 2 * pad) / w, MAP_PX_H * (1 - 2 * pad) / h); // px per degree of latitude
+  return {
+    metersPerPx: M_PER_DEG / s,
+    project: ([x, y]) => [MAP_PX_W / 2 + (x - cx) * kx * s, MAP_PX_H / 2 - (y - cy) * s],
+  };
+}
+
+function renderMap(geom) {
+  const canvas = createCanvas(MAP_PX_W, MAP_PX_H);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#f8fafc";
+  ctx.fillRect(0, 0, MAP_PX_W, MAP_PX_H);
+
+  const { project, metersPerPx } = makeProjection(geom);
+  const trace = (coords, close) => {
+    coords.forEach((c, i) => { const [px, py] = project(c); i ? ctx.lineTo(px, py) : ctx.moveTo(px, py); });
+    if (close) ctx.closePath();
+  };
+  const dot = (c) => {
+    const [px, py] = project(c);
+    ctx.beginPath(); ctx.arc(px, py, 12, 0, Math.PI * 2);
+    ctx.fill(); ctx.stroke();
+  };
+
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = "#2563eb";
+  ctx.fillStyle = "rgba(37, 99, 235, 0.18)";
+  ctx.lineWidth = 4;
+
+  const t = geom.type;
+  const polys = t === "Polygon" ? [geom.coordinates] : t === "MultiPolygon" ? geom.coordinates : [];
+  for (const rings of polys) {
+    ctx.beginPath();
+    rings.forEach(r => trace(r, true));
+    ctx.fill("evenodd");
+    ctx.stroke();
+  }
+  const lines = t === "LineString" ? [geom.coordinates] : t === "MultiLineString" ? geom.coordinates : [];
+  for (const line of lines) {
+    ctx.beginPath(); trace(line, false); ctx.stroke();
+  }
+  if (t === "Point" || t === "MultiPoint") {
+    ctx.fillStyle = "#2563eb";
+    ctx.strokeStyle = "#ffffff";
+    (t === "Point" ? [geom.coordinates] : geom.coordinates).forEach(dot);
+  }
+
+  return { png: canvas.toBuffer("image/png"), metersPerPx };
+}
+
+// Largest "round" distance whose bar fits in maxPx.
+function pickScaleBar(metersPerPx, maxPx) {
+  const ftPerPx = metersPerPx * FT_PER_M;
+  let ft = SCALE_STEPS_FT[0];
+  for (const step of SCALE_STEPS_FT) if (step / ftPerPx <= maxPx) ft = step;
+  const label = ft >= 5280 ? `${ft / 5280} mi` : `${ft} ft`;
+  return { px: ft / ftPerPx, label };
+}
+
+// ---------- text helpers ----------
+
+// Standard fonts are WinAnsi only; drop anything they cannot encode.
+function clean(font, s) {
+  return [...String(s ?? "")].map(ch => {
+    try { font.encodeText(ch); return ch; } catch { return "?"; }
+  }).join("").replace(/[\r\n\t]+/g, " ");
+}
+
+function fit(font, s, size, maxW) {
+  let t = clean(font, s);
+  if (font.widthOfTextAtSize(t, size) <= maxW) return t;
+  while (t.length && font.widthOfTextAtSize(t + "…", size) > maxW) t = t.slice(0, -1);
+  return t + "…";
+}
+
+function formatValue(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+// ---------- page layout ----------
+
+async function drawSheet(pdf, fonts, { assetId, label, feature }) {
+  const page = pdf.addPage([PAGE_W, PAGE_H]);
+  const { regular, bold } = fonts;
+  const props = feature.properties || {};
+  let y = PAGE_H - MARGIN;
+
+  // Header
+  page.drawText(fit(bold, assetId, 18, MAP_PT_W), { x: MARGIN, y: y - 18, size: 18, font: bold, color: INK });
+  page.drawText(fit(regular, label || props._sourceLabel || props._dataset || "", 10, MAP_PT_W), { x: MARGIN, y: y - 32, size: 10, font: regular, color: MUTED });
+  y -= 42;
+
+  // Map panel
+  const { png, metersPerPx } = renderMap(feature.geometry);
+  const img = await pdf.embedPng(png);
+  const mapBottom = y - MAP_PT_H;
+  page.drawImage(img, { x: MARGIN, y: mapBottom, width: MAP_PT_W, height: MAP_PT_H });
+  page.drawRectangle({ x: MARGIN, y: mapBottom, width: MAP_PT_W, height: MAP_PT_H, borderColor: RULE, borderWidth: 1 });
+
+  const ptPerPx = MAP_PT_W / MAP_PX_W;
+  const bar = pickScaleBar(metersPerPx, (MAP_PX_W / 4));
+  const barW = bar.px * ptPerPx;
+  const bx = MARGIN + 12, by = mapBottom + 14;
+  page.drawRectangle({ x: bx, y: by, width: barW, height: 4, color: INK });
+  page.drawRectangle({ x: bx + barW / 2, y: by, width: barW / 2, height: 4, color: rgb(1, 1, 1), borderColor: INK, borderWidth: 0.75 });
+  page.drawText("0", { x: bx - 2, y: by + 8, size: 7, font: regular, color: INK });
+  page.drawText(bar.label, { x: bx + barW - regular.widthOfTextAtSize(bar.label, 7) / 2, y: by + 8, size: 7, font: regular, color: INK });
+
+  const nx = MARGIN + MAP_PT_W - 24, ny = y - 40;
+  page.drawSvgPath("M 0 -22 L 8 0 L 0 -6 L -8 0 Z", { x: nx, y: ny, color: INK });
+  page.drawText("N", { x: nx - bold.widthOfTextAtSize("N", 10) / 2, y: ny - 12, size: 10, font: bold, color: INK });
+  y = mapBottom - 12;
+
+  // Location block + QR
+  const c = labelPoint(feature.geometry);
+  const qrSize = 88;
+  if (c) {
+    const gm = googleMapsUrl(c);
+    const qr = await pdf.embedPng(await QRCode.toBuffer(gm, { type: "png", margin: 1, width: 264 }));
+    page.drawImage(qr, { x: PAGE_W - MARGIN - qrSize, y: y - qrSize, width: qrSize, height: qrSize });
+    page.drawText("Location (WGS84)", { x: MARGIN, y: y - 10, size: 9, font: bold, color: INK });
+    page.drawText(`${c.lat.toFixed(6)}, ${c.lng.toFixed(6)}`, { x: MARGIN, y: y - 24, size: 11, font: regular, color: INK });
+    page.drawText("Google Maps", { x: MARGIN, y: y - 44, size: 9, font: bold, color: INK });
+    page.drawText(fit(regular, gm, 8, MAP_PT_W - qrSize - 12), { x: MARGIN, y: y - 56, size: 8, font: regular, color: MUTED });
+  }
+  y -= qrSize + 12;
+
+  // Attribute table: two side-by-side key/value columns
+  page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_W - MARGIN, y }, thickness: 1, color: RULE });
+  page.drawText("Attributes", { x: MARGIN, y: y - 14, size: 9, font: bold, color: INK });
+  y -= 26;
+
+  const size = 7.5, rowH = 11, colGap = 12;
+  const colW = (MAP_PT_W - colGap) / 2, keyW = colW * 0.4;
+  const rowsPerCol = Math.floor((y - MARGIN - 12) / rowH);
+  // Internal `_` properties stay off the sheet, except related records (lib/related.js),
+  // which don't fit a cell: those list the tables and their row counts
+  const entries = Object.entries(props)
+    .filter(([k]) => k === "_related" || !k.startsWith("_"))
+    .map(([k, v]) => (k === "_related" ? ["Related records", relatedSummary(v)] : [k, v]));
+  const shown = entries.slice(0, rowsPerCol * 2);
+  shown.forEach(([k, v], i) => {
+    const col = Math.floor(i / rowsPerCol), row = i % rowsPerCol;
+    const x = MARGIN + col * (colW + colGap), ry = y - row * rowH;
+    page.drawText(fit(bold, k, size, keyW - 4), { x, y: ry, size, font: bold, color: INK });
+    page.drawText(fit(regular, formatValue(v), size, colW - keyW), { x: x + keyW, y: ry, size, font: regular, color: INK });
+  });
+  if (entries.length > shown.length) {
+    page.drawText(`… ${entries.length - shown.length} more attributes not shown`, { x: MARGIN, y: MARGIN + 2, size: 7, font: regular, color: MUTED });
+  }
+
+  const stamp = `MapBuddy · ${new Date().toISOString().slice(0, 10)}`;
+  page.drawText(stamp, { x: PAGE_W - MARGIN - regular.widthOfTextAtSize(stamp, 7), y: MARGIN - 14, size: 7, font: regular, color: MUTED });
+}
+
+// sheets: [{ assetId, label, feature }] → Buffer (one page per sheet)
+export async function buildFieldSheetsPdf(sheets) {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle("MapBuddy field sheets");
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+  };
+  for (const sheet of sheets) {
+    if (!sheet.feature?.geometry) continue;
+    await drawSheet(pdf, fonts, sheet);
+  }
+  return Buffer.from(await pdf.save());
+}
@@ -0,0 +1,101 @@
+// lib/related.js
+// ArcGIS related records (inspection history, maintenance actions …): a layer's
+// `relationships`, read from its definition, are fetched with `queryRelatedRecords`
+// for the matched OBJECTIDs and attached to each feature as
+// `_related: { "<relationship name>": [rows] }`. GeoJSON keeps that nested, KML /
+// KMZ show it in the balloon (relatedHtml) and bulk zips add a CSV per table.
+
+import { cachedRequest } from "./cache.js";
+import { fetchLayerDefinition } from "./arcgis.js";
+import { findKey, layerDef, presentRows } from "./attributes.js";
+import { MAX_CONCURRENCY, createLimiter } from "./lookup.js";
+import { escXml } from "./xml.js";
+
+const OID_BATCH = 100;
+const MAX_BALLOON_ROWS = 10;
+const HIDDEN_COLUMNS = /^(OBJECTID(_1)?|FID|GLOBALID)$/i;
+
+// ---------- fetching ----------
+
+// Layer → { oidField, relationships: [{ id, name, tableBase }] }; none when the definition can't be read.
+async function relationshipsOf(base) {
+  const { info } = await fetchLayerDefinition(base);
+  const oidField = info?.objectIdField || info?.fields?.find(f => f.type === "esriFieldTypeOID")?.name || "OBJECTID";
+  const relationships = (Array.isArray(info?.relationships) ? info.relationships : [])
+    .map(r => ({ id: r.id, name: r.name || `Related ${r.id}`, tableBase: base.replace(/\/\d+$/, `/${r.relatedTableId}`) }));
+  return { oidField, relationships };
+}
+
+// One relationship for many OBJECTIDs → Map(objectId → [attributes])
+async function queryRelated(base, relationshipId, oids) {
+  const out = new Map();
+  for (let i = 0; i < oids.length; i += OID_BATCH) {
+    const params = { objectIds: oids.slice(i, i + OID_BATCH).join(","), relationshipId, outFields: "*", returnGeometry: false, f: "json" };
+    const r = await cachedRequest(`${base}/queryRelatedRecords`, params);
+    if (r.status !== 200) throw new Error(`ArcGIS request failed (${r.status})`);
+    if (r.data?.error) throw new Error(`ArcGIS error: ${r.data.error.message || r.data.error.code}`);
+    for (const g of r.data?.relatedRecordGroups || []) out.set(String(g.objectId), (g.relatedRecords || []).map(rec => rec.attributes || {}));
+  }
+  return out;
+}
+
+// Adds `_related` to every feature whose layer has relationships (an empty list per
+// relationship without rows); a relationship that fails is named in `_relatedError`.
+// Runs on the features as found, before presentFeatures() curates OBJECTID away;
+// related rows are decoded (domains, dates) unless `raw`.
+export async function attachRelated(features, { raw = false, layer = null, limit = createLimiter(MAX_CONCURRENCY) } = {}) {
+  const byBase = new Map(); // layer base → features
+  for (const f of features) {
+    const def = layer && f?.properties?._dataset === layer.key ? layer : layerDef(f?.properties);
+    if (!def?.base) continue;
+    if (!byBase.has(def.base)) byBase.set(def.base, []);
+    byBase.get(def.base).push(f);
+  }
+
+  await Promise.all([...byBase].map(async ([base, feats]) => {
+    const { oidField, relationships } = await limit(() => relationshipsOf(base));
+    if (!relationships.length) return;
+    const oidOf = (f) => { const k = findKey(f.properties, oidField); return k === undefined ? null : f.properties[k]; };
+    const oids = [...new Set(feats.map(oidOf).filter(v => v !== null && v !== undefined).map(String))];
+    for (const f of feats) f.properties = { ...f.properties, _related: {} };
+
+    await Promise.all(relationships.map(rel => limit(async () => {
+      let groups;
+      try {
+        groups = await queryRelated(base, rel.id, oids);
+      } catch (e) {
+        for (const f of feats) f.properties._relatedError = [f.properties._relatedError, `${rel.name}: ${e?.message || e}`].filter(Boolean).join("; ");
+        return;
+      }
+      // One metadata lookup per relationship: decode every row at once, then split back per feature
+      const decoded = await presentRows([...groups.values()].flat(), rel.tableBase, { raw });
+      let i = 0;
+      const byOid = new Map([...groups].map(([oid, rows]) => [oid, decoded.slice(i, i += rows.length)]));
+      for (const f of feats) f.properties._related[rel.name] = byOid.get(String(oidOf(f))) || [];
+    })));
+  }));
+  return features;
+}
+
+// ---------- output ----------
+
+// Columns of a set of rows, in first-seen order, without the tables' own ids.
+function relatedColumns(rows) {
+  return [...new Set(rows.flatMap(r => Object.keys(r)))].filter(k => !HIDDEN_COLUMNS.test(k));
+}
+
+// `_related` → HTML tables for a KML balloon: the first rows of each table, in the order the layer returns them.
+export function relatedHtml(related) {
+  return Object.entries(related || {}).map(([name, rows]) => {
+    const head = `<div style="font-weight:bold;margin-top:8px">${escXml(name)} (${rows.length})</div>`;
+    if (!rows.length) return head;
+    const cols = relatedColumns(rows);
+    const cell = (v, th) => `<${th ? "th" : "td"} style="border:1px solid #e2e8f0;padding:2px 4px;text-align:left">${escXml(v ?? "")}</${th ? "th" : "td"}>`;
+    const body = rows.slice(0, MAX_BALLOON_ROWS).map(r => `<tr>${cols.map(c => cell(r[c])).join("")}</tr>`).join("");
+    const more = rows.length > MAX_BALLOON_ROWS ? `<div style="color:#64748b">… ${rows.length - MAX_BALLOON_ROWS} more</div>` : "";
+    return `${head}<table style="border-collapse:collapse;font-size:11px"><tr>${cols.map(c => cell(c, true)).join("")}</tr>${body}</table>${more}`;
+  }).join("");
+}
+
+// "Inspections (3), Maintenance Actions (1)" — for places with room for one line (PDF field sheets).
+export const relatedSummary = (related) => Object.entries(related || {}).map(([name, rows]) => `${name} (${rows.length})`).join(", ");
@@ -0,0 +1,120 @@
+// lib/schema.js
+// Live layer definitions (`<layer>?f=json`) checked against the registry: fields,
+// geometry type, max record count, and whether every configured id field (and
+// curated `fields` entry) exists. Behind /api/datasets/:key/schema and /api/health.
+// Registry id fields are candidates — lookups skip the ones a layer lacks — so a
+// missing one is a warning; a layer fails only when it is unreachable, can't be
+// queried, or has none of its id fields.
+
+import { fetchLayerDefinition } from "./arcgis.js";
+import { DATASETS } from "./datasets.js";
+import { MAX_CONCURRENCY, createLimiter } from "./lookup.js";
+
+const GEOMETRY_TYPES = { point: ["esriGeometryPoint", "esriGeometryMultipoint"], line: ["esriGeometryPolyline"], polygon: ["esriGeometryPolygon"] };
+
+// Registry layers of a dataset: [{ dataset, layerIndex, def }] (Montgomery → its inner layers)
+export function registryLayers(key) {
+  const ds = DATASETS[key];
+  if (!ds) return [];
+  return (ds.layers || [ds]).map((def, layerIndex) => ({ dataset: key, layerIndex, def: { ...def, label: def.label || ds.label } }));
+}
+
+// ---------- fetching ----------
+
+// The same layer under the other service type (…/MapServer/7 ↔ …/FeatureServer/7)
+function alternateBase(base) {
+  if (/\/MapServer\//i.test(base)) return { type: "FeatureServer", base: base.replace(/\/MapServer\//i, "/FeatureServer/") };
+  if (/\/FeatureServer\//i.test(base)) return { type: "MapServer", base: base.replace(/\/FeatureServer\//i, "/MapServer/") };
+  return null;
+}
+
+const serviceType = (base) => base.match(/\/(MapServer|FeatureServer)\//i)?.[1] || null;
+
+// ---------- checks ----------
+
+// Field names match case-insensitively, as in ArcGIS where clauses; `actualName` notes the layer's spelling.
+function fieldCheck(fields, name) {
+  const f = fields.find(x => x.name.toUpperCase() === String(name).toUpperCase());
+  if (!f) return { name, exists: false };
+  return f.name === name ? { name, exists: true, type: f.type } : { name, exists: true, type: f.type, actualName: f.name };
+}
+
+// One registry layer → its schema report: `problems` break lookups (and fail the
+// health check), `warnings` are worth a look in the registry.
+export async function layerSchema({ dataset, layerIndex, def }) {
+  const report = { dataset, layerIndex, label: def.label, url: def.base, serviceType: serviceType(def.base), reachable: false, problems: [], warnings: [] };
+  const alt = alternateBase(def.base);
+  const [{ info, error }, altInfo] = await Promise.all([
+    fetchLayerDefinition(def.base),
+    alt ? fetchLayerDefinition(alt.base).then(r => r.info) : null,
+  ]);
+  if (altInfo) report.alternateUrl = alt.base;
+
+  if (!info) {
+    report.error = error;
+    report.problems.push(`Layer unreachable: ${error}`);
+    if (altInfo) report.problems.push(`Configured as ${report.serviceType}, but the layer answers as ${alt.type}`);
+    return report;
+  }
+
+  const fields = (info.fields || []).map(f => ({ name: f.name, type: f.type, alias: f.alias ?? f.name }));
+  Object.assign(report, {
+    reachable: true,
+    name: info.name ?? null,
+    layerType: info.type ?? null,
+    geometryType: info.geometryType ?? null,
+    maxRecordCount: info.maxRecordCount ?? null,
+    capabilities: info.capabilities ?? null,
+    fields,
+  });
+
+  if (info.type && !["Feature Layer", "Table"].includes(info.type)) report.warnings.push(`Not a feature layer (${info.type})`);
+  if (report.capabilities && !/query/i.test(report.capabilities)) {
+    const altQuery = altInfo && (!altInfo.capabilities || /query/i.test(altInfo.capabilities));
+    report.problems.push(`Layer does not allow Query (${report.capabilities})${altQuery ? `; the ${alt.type} does` : ""}`);
+  } else if (altInfo) {
+    report.warnings.push(`Also published as ${alt.type}`);
+  }
+  const expected = GEOMETRY_TYPES[def.type];
+  if (expected && report.geometryType && !expected.includes(report.geometryType)) {
+    report.warnings.push(`Registry type '${def.type}' but the layer is ${report.geometryType}`);
+  }
+
+  report.idFields = (def.idFields || []).map(name => fieldCheck(fields, name));
+  const curated = (def.fields || []).map(f => (typeof f === "string" ? f : f.name));
+  if (curated.length) report.curatedFields = curated.map(name => fieldCheck(fields, name));
+  for (const [kind, list] of [["idFields", report.idFields], ["fields", report.curatedFields || []]]) {
+    const missing = list.filter(f => !f.exists).map(f => f.name);
+    if (missing.length) report.warnings.push(`Missing ${kind}: ${missing.join(", ")}`);
+  }
+  if (report.idFields.length && report.idFields.every(f => !f.exists)) report.problems.push("No configured id field exists; every lookup will miss");
+  return report;
+}
+
+// dataset key → { key, label, ok, layers: [report] } (null for an unknown key)
+export async function datasetSchema(key, limit = createLimiter(MAX_CONCURRENCY)) {
+  const ds = DATASETS[key];
+  if (!ds) return null;
+  const layers = await Promise.all(registryLayers(key).map(l => limit(() => layerSchema(l))));
+  return { key, label: ds.label, ok: layers.every(l => !l.problems.length), layers };
+}
+
+// Every registry entry (Montgomery inner layers included), a few requests at a time.
+export async function registryHealth() {
+  const limit = createLimiter(MAX_CONCURRENCY);
+  const datasets = await Promise.all(Object.keys(DATASETS).map(key => datasetSchema(key, limit)));
+  const layers = datasets.flatMap(d => d.layers);
+  return {
+    ok: datasets.every(d => d.ok),
+    checkedAt: new Date().toISOString(),
+    summary: {
+      datasets: datasets.length,
+      layers: layers.length,
+      unreachable: layers.filter(l => !l.reachable).length,
+      withProblems: layers.filter(l => l.problems.length).length,
+      withWarnings: layers.filter(l => l.warnings.length).length,
+    },
+    // Field lists stay on the per-dataset schema endpoint
+    datasets: datasets.map(d => ({ ...d, layers: d.layers.map(({ fields, ...l }) => l) })),
+  };
+}
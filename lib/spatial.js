@@ -0,0 +1,48 @@
+// lib/spatial.js
+// Spatial queries fanned out over registry layers (used by nearby / intersect).
+// Montgomery's virtual dataset expands to its inner layers, queried a few at a
+// time; a failing layer is reported in `errors` instead of failing the whole search.
+
+import { DATASETS } from "./datasets.js";
+import { queryAllAsGeoJSON } from "./arcgis.js";
+import { MAX_CONCURRENCY, createLimiter } from "./lookup.js";
+
+const MAX_PER_LAYER = 2000;
+
+// Dataset keys → [{ dataset, base, idFields, label }]; unknown keys are returned separately.
+export function layersFor(keys) {
+  const layers = [], unknown = [];
+  for (const key of keys) {
+    const ds = DATASETS[key];
+    if (!ds) { unknown.push(key); continue; }
+    for (const lyr of ds.layers || [ds]) layers.push({ dataset: key, base: lyr.base, idFields: lyr.idFields, label: lyr.label });
+  }
+  return { layers, unknown };
+}
+
+// First non-empty ID field value, as a string.
+export function assetIdOf(props, idFields) {
+  for (const f of idFields || []) {
+    const v = props?.[f];
+    if (v !== null && v !== undefined && v !== "") return String(v);
+  }
+  return null;
+}
+
+// params: ArcGIS spatial filter (geometry, geometryType, inSR, spatialRel, …)
+// → { hits: [{ dataset, label, id, feature }], errors: [{ dataset, layer, error }], truncated }
+export async function searchLayers(layers, params, { limit = createLimiter(MAX_CONCURRENCY) } = {}) {
+  const errors = [];
+  let truncated = false;
+  const perLayer = await Promise.all(layers.map(async (lyr) => {
+    try {
+      const r = await limit(() => queryAllAsGeoJSON(lyr.base, params, MAX_PER_LAYER));
+      if (r.truncated) truncated = true;
+      return r.features.map(feature => ({ dataset: lyr.dataset, label: lyr.label, id: assetIdOf(feature.properties, lyr.idFields), feature }));
+    } catch (e) {
+      errors.push({ dataset: lyr.dataset, layer: lyr.label, error: String(e?.message || e) });
+      return [];
+    }
+  }));
+  return { hits: perLayer.flat(), errors, truncated };
+}
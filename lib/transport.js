@@ -0,0 +1,98 @@
+// lib/transport.js
+// How upstream requests (ArcGIS queries, the geocoder) leave the process. The
+// cache sits on top of this; MAPBUDDY_UPSTREAM picks the mode:
+//   live   (default) real HTTP via axios
+//   record real HTTP, and every response is saved as a fixture under MAPBUDDY_FIXTURE_DIR
+//   replay answers only from those fixtures — no network; a missing fixture is an error
+//   local  answers from the bundled ArcGIS stand-in (lib/localArcgis.js) over GeoJSON fixtures
+// Fixtures are keyed like the cache: URL + normalized params. Binary downloads
+// (feature attachments) go through upstreamDownload(), uncached; their fixtures
+// keep the bytes base64-encoded.
+
+import axios from "axios";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { localDownload, localRequest } from "./localArcgis.js";
+
+const MODES = ["live", "record", "replay", "local"];
+const FIXTURE_DIR = process.env.MAPBUDDY_FIXTURE_DIR || path.join(process.cwd(), "fixtures", "recorded");
+
+// Checked at load: a typo here must not look like "no feature found" everywhere.
+const MODE = String(process.env.MAPBUDDY_UPSTREAM || "live").toLowerCase();
+if (!MODES.includes(MODE)) throw new Error(`MAPBUDDY_UPSTREAM must be one of ${MODES.join(", ")} (got '${MODE}')`);
+
+export const upstreamMode = () => MODE;
+
+// ---------- keys ----------
+
+export function requestKey(url, params = {}) {
+  const norm = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => [k, k === "where" ? String(v).replace(/\s+/g, " ").trim() : String(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${url}?${new URLSearchParams(norm).toString()}`;
+}
+
+// ---------- fixtures ----------
+
+// "<host>/<sha1>.json" so a recorded run can be browsed (and pruned) per server.
+function fixtureFile(key, dir = FIXTURE_DIR) {
+  const host = new URL(key).host.replace(/[^\w.-]/g, "_");
+  return path.join(dir, host, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+}
+
+async function saveFixture(key, method, url, params, out) {
+  const file = fixtureFile(key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ key, method, url, params, ...out }, null, 2));
+  await fs.rename(tmp, file);
+}
+
+async function loadFixture(key) {
+  try {
+    const { status, data, contentType } = JSON.parse(await fs.readFile(fixtureFile(key), "utf8"));
+    return { status, data, contentType };
+  } catch {
+    throw new Error(`No recorded fixture for ${key} (record it with MAPBUDDY_UPSTREAM=record)`);
+  }
+}
+
+// ---------- requests ----------
+
+async function liveRequest(url, params, method, timeout) {
+  const opts = { timeout, validateStatus: () => true };
+  const r = method === "POST"
+    ? await axios.post(url, new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)])).toString(),
+        { ...opts, headers: { "Content-Type": "application/x-www-form-urlencoded" } })
+    : await axios.get(url, { ...opts, params });
+  return { status: r.status, data: r.data };
+}
+
+// GET (or form-encoded POST) → { status, data }, whichever mode is active.
+// POSTs share fixtures with the equivalent GET — the params are the same.
+export async function upstreamRequest(url, params = {}, { method = "GET", timeout = 20000 } = {}) {
+  if (MODE === "local") return localRequest(url, params);
+  if (MODE === "replay") return loadFixture(requestKey(url, params));
+
+  const out = await liveRequest(url, params, method, timeout);
+  if (MODE === "record") await saveFixture(requestKey(url, params), method, url, params, out);
+  return out;
+}
+
+// Binary GET → { status, data: Buffer, contentType }. A body over `maxBytes` fails
+// instead of being read into memory.
+export async function upstreamDownload(url, { timeout = 60000, maxBytes = Infinity } = {}) {
+  if (MODE === "local") return localDownload(url);
+  const key = requestKey(url);
+  if (MODE === "replay") {
+    const { status, data, contentType } = await loadFixture(key);
+    return { status, data: Buffer.from(data || "", "base64"), contentType };
+  }
+
+  const r = await axios.get(url, { timeout, responseType: "arraybuffer", maxContentLength: maxBytes, validateStatus: () => true });
+  const out = { status: r.status, data: Buffer.from(r.data), contentType: r.headers?.["content-type"] || null };
+  if (MODE === "record") await saveFixture(key, "GET", url, {}, { ...out, data: out.data.toString("base64") });
+  return out;
+}
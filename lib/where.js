@@ -0,0 +1,89 @@
+// lib/where.js
+// The one place ArcGIS `where` clauses are written. Field names must exist on the
+// layer (its definition, `<layer>?f=json`) and values only ever go out as escaped
+// string literals or validated numbers, typed by the field: numeric equality for
+// numeric fields (Leesburg's OBJECTID), case-insensitive matches for text, and
+// IN-lists for several values (TMDL ID variants, bulk batches).
+
+import { fetchLayerDefinition } from "./arcgis.js";
+
+const NUMERIC_TYPES = new Set(["esriFieldTypeOID", "esriFieldTypeInteger", "esriFieldTypeSmallInteger", "esriFieldTypeBigInteger", "esriFieldTypeDouble", "esriFieldTypeSingle"]);
+const GUID_TYPES = new Set(["esriFieldTypeGlobalID", "esriFieldTypeGUID"]);
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+const GUID = /^\{?([0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12})\}?$/i;
+// Without a layer definition these are the only fields known to be numeric
+const OBJECTID_NAMES = /^(OBJECTID(_1)?|FID)$/i;
+
+// ---------- literals ----------
+
+// 'text' with quotes doubled; NULs dropped (some servers cut the statement there)
+export const sqlString = (v) => `'${String(v).replace(/\0/g, "").replace(/'/g, "''")}'`;
+
+// "42" / " -3.5 " → the number as written; anything else → null
+export function sqlNumber(v) {
+  const s = String(v ?? "").trim();
+  return NUMBER.test(s) ? s : null;
+}
+
+const sqlGuid = (v) => { const m = String(v ?? "").trim().match(GUID); return m ? `'{${m[1].toUpperCase()}}'` : null; };
+
+// ---------- fields ----------
+
+// Layer definition JSON → Map(UPPER(name) → { name, type }); null without a field list.
+export const fieldSchemaOf = (info) =>
+  (Array.isArray(info?.fields) ? new Map(info.fields.map(f => [String(f.name).toUpperCase(), { name: f.name, type: f.type }])) : null);
+
+// Same, fetched; null when the definition can't be read.
+export async function layerFieldSchema(base) {
+  const { info } = await fetchLayerDefinition(base);
+  return fieldSchemaOf(info);
+}
+
+// Field name → { name (the layer's spelling), kind: "number" | "guid" | "text" }.
+// Throws on anything that isn't a plain identifier, and on fields the layer doesn't have.
+export function resolveField(schema, name) {
+  if (!IDENTIFIER.test(String(name))) throw new Error(`Invalid field name '${name}'`);
+  if (!schema) return { name, kind: OBJECTID_NAMES.test(name) ? "number" : "text" };
+  const f = schema.get(name.toUpperCase());
+  if (!f) throw new Error(`Unknown field '${name}'`);
+  return { name: f.name, kind: NUMERIC_TYPES.has(f.type) ? "number" : GUID_TYPES.has(f.type) ? "guid" : "text" };
+}
+
+// The configured fields the layer actually has, resolved; the rest are skipped
+// (registry "just in case" fields — /api/health lists them as missing).
+export function knownFields(schema, names = []) {
+  return names.filter(n => IDENTIFIER.test(String(n)) && (!schema || schema.has(n.toUpperCase()))).map(n => resolveField(schema, n));
+}
+
+// ---------- clauses ----------
+
+const unique = (list) => [...new Set(list.filter(v => v !== null))];
+
+// Field equals any of the values: numbers as numbers, GUIDs braced, text ignoring case.
+// → clause, or null when no value fits the field (e.g. "WP0399" against OBJECTID).
+export function equalsAny(field, values) {
+  const vals = field.kind === "number" ? unique(values.map(sqlNumber))
+    : field.kind === "guid" ? unique(values.map(sqlGuid))
+    : unique(values.map(v => String(v ?? "").toUpperCase())).map(sqlString);
+  if (!vals.length) return null;
+  const lhs = field.kind === "text" ? `UPPER(${field.name})` : field.name;
+  return vals.length === 1 ? `${lhs} = ${vals[0]}` : `${lhs} IN (${vals.join(",")})`;
+}
+
+// "Contains" pattern: %, _ and the escape character in the value match only themselves
+export const likeContains = (v) => `%${String(v).replace(/[\\%_]/g, c => `\\${c}`)}%`;
+
+// Case-insensitive LIKE '%value%' ESCAPE '\' on text fields for any of the values;
+// null for numbers / GUIDs and when every value is empty.
+export function likeAny(field, values) {
+  if (field.kind !== "text") return null;
+  const pats = unique(values.map(v => String(v ?? "").toUpperCase()).filter(Boolean)).map(likeContains);
+  return pats.length ? pats.map(p => `UPPER(${field.name}) LIKE ${sqlString(p)} ESCAPE '\\'`).join(" OR ") : null;
+}
+
+// OR of the non-empty clauses, each parenthesized; null when there are none.
+export function anyOf(clauses) {
+  const list = clauses.filter(Boolean);
+  return list.length ? list.map(c => `(${c})`).join(" OR ") : null;
+}
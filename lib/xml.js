@@ -0,0 +1,4 @@
+// lib/xml.js
+// Text and attribute escaping for the XML we write by hand (KML, KMZ, GPX, related-record tables).
+
+export const escXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
@@ -0,0 +1,24 @@
+// test/cache.test.js
+// MAPBUDDY_CACHE_TTL parsing: the default only when unset, 0 allowed, junk rejected.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCacheTtl } from "../lib/cache.js";
+
+test("parseCacheTtl defaults to 600 s only when unset", () => {
+  assert.equal(parseCacheTtl(undefined), 600000);
+  assert.equal(parseCacheTtl(""), 600000);
+  assert.equal(parseCacheTtl(" "), 600000);
+});
+
+test("parseCacheTtl takes seconds, including 0", () => {
+  assert.equal(parseCacheTtl("0"), 0);
+  assert.equal(parseCacheTtl("30"), 30000);
+  assert.equal(parseCacheTtl("1.5"), 1500);
+});
+
+test("parseCacheTtl rejects negative and non-numeric values", () => {
+  for (const raw of ["-1", "ten", "600s", "Infinity", "NaN"]) {
+    assert.throws(() => parseCacheTtl(raw), /MAPBUDDY_CACHE_TTL/, raw);
+  }
+});
@@ -0,0 +1,26 @@
+// test/datasets.test.js
+// Dataset keys as bulk payloads send them: machine keys, current labels and the
+// labels the old bulk registry used.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveDatasetKey } from "../lib/datasets.js";
+
+test("resolveDatasetKey accepts keys and current labels", () => {
+  assert.equal(resolveDatasetKey("fairfax_bmps"), "fairfax_bmps");
+  assert.equal(resolveDatasetKey("mdsha_tmdl_any"), "mdsha_tmdl_any");
+  assert.equal(resolveDatasetKey("TMDL — Tree Plantings"), "mdsha_tmdl_tree_plantings");
+  assert.equal(resolveDatasetKey("Leesburg — BMPs"), "leesburg_bmps");
+});
+
+test("resolveDatasetKey still accepts the old bulk labels", () => {
+  assert.equal(resolveDatasetKey("Fairfax — Stormwater Facilities (FACILITY_ID)"), "fairfax_bmps");
+  assert.equal(resolveDatasetKey("MDOT SHA — Managed Landscape (LOD_ID)"), "mdsha_landscape");
+  assert.equal(resolveDatasetKey("Leesburg — BMPs (OBJECTID)"), "leesburg_bmps");
+});
+
+test("resolveDatasetKey rejects anything else", () => {
+  assert.equal(resolveDatasetKey("Fairfax"), null);
+  assert.equal(resolveDatasetKey(""), null);
+  assert.equal(resolveDatasetKey("toString"), null);
+});
@@ -0,0 +1,135 @@
+// test/local.test.js
+// convert, locate and bulk end-to-end against the local ArcGIS stand-in
+// (lib/localArcgis.js, fixtures/local/): exact vs LIKE matching, TMDL variants
+// and the geocoder fallback, plus GeoPackage field types, with no network.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import Database from "better-sqlite3";
+
+// transport.js reads the mode when it is first imported
+process.env.MAPBUDDY_UPSTREAM = "local";
+process.env.MAPBUDDY_CACHE = "off";
+const { lookupSingle } = await import("../lib/lookup.js");
+const { resolveBulkItems } = await import("../lib/bulk.js");
+const { default: locate } = await import("../api/locate.js");
+const { default: convert } = await import("../api/convert.js");
+const { buildGpkg } = await import("../lib/gpkg.js");
+
+// Minimal Vercel-style req / res around a handler → { status, headers, body }
+async function call(handler, body) {
+  const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+  Object.assign(req, { method: "POST", url: "/", query: {}, headers: { "content-type": "application/json" } });
+  const out = { status: 200, headers: {}, body: null };
+  const res = {
+    status(c) { out.status = c; return this; },
+    setHeader(k, v) { out.headers[k.toLowerCase()] = v; },
+    getHeader(k) { return out.headers[k.toLowerCase()]; },
+    json(o) { out.body = o; },
+    send(b) { out.body = b; },
+    end(b) { out.body = b ?? null; },
+  };
+  await handler(req, res);
+  return out;
+}
+
+// ---------- lookupSingle ----------
+
+test("an exact ID is a single exact hit", async () => {
+  const found = await lookupSingle({ assetId: "WP0399", dataset: "fairfax_bmps" });
+  assert.equal(found.matchMode, "exact");
+  assert.equal(found.hit?.dataset, "fairfax_bmps");
+  assert.equal(found.hit?.field, "FACILITY_ID");
+});
+
+test("a partial ID falls back to LIKE and lists the candidates", async () => {
+  const found = await lookupSingle({ assetId: "WP04", dataset: "fairfax_bmps" });
+  assert.equal(found.matchMode, "like");
+  assert.equal(found.ambiguous, true);
+  assert.ok(found.candidates.length > 1);
+  for (const c of found.candidates) assert.match(String(c.feature.properties.FACILITY_ID), /WP04/i);
+});
+
+test("TMDL IDs resolve through mdsha_tmdl_any, dash and space alike", async () => {
+  for (const assetId of ["210049-UT", "210049 UT"]) {
+    const found = await lookupSingle({ assetId, dataset: "mdsha_tmdl_any" });
+    assert.equal(found.matchMode, "exact", assetId);
+    assert.equal(found.hit?.dataset, "mdsha_tmdl_tree_plantings", assetId);
+  }
+});
+
+// ---------- locate / convert ----------
+
+test("locate answers 300 with the LIKE candidates", async () => {
+  const r = await call(locate, { assetId: "WP04", dataset: "fairfax_bmps" });
+  assert.equal(r.status, 300);
+  assert.equal(r.body.matchMode, "like");
+  assert.equal(r.body.candidates.length, r.body.total);
+  assert.ok(r.body.candidates.every(c => c.choice && !c.feature));
+});
+
+test("locate falls back to the Fairfax geocoder and flags a low score", async () => {
+  const r = await call(locate, { assetId: "9 Fairfax Center Pkwy, Fairfax, VA", dataset: "fairfax_bmps" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.geocoded.provider, "fairfax");
+  assert.equal(r.body.properties._lowScore, true);
+});
+
+test("convert returns the matched feature as KML", async () => {
+  const r = await call(convert, { assetId: "WP0399", dataset: "fairfax_bmps", format: "kml" });
+  assert.equal(r.status, 200);
+  assert.match(String(r.body), /<kml[\s>]/);
+  assert.match(String(r.body), /WP0399/);
+});
+
+// ---------- bulk ----------
+
+test("resolveBulkItems keeps row order and marks misses 'not found'", async () => {
+  const recs = await resolveBulkItems([{ assetId: "WP0399" }, { assetId: "NOPE-123" }, { assetId: "" }], "fairfax_bmps");
+  assert.deepEqual(recs.map(r => [r.assetId, r.status]), [["WP0399", "ok"], ["NOPE-123", "not found"]]);
+  assert.equal(recs[1].feature, undefined);
+});
+
+test("resolveBulkItems geocodes address misses with the dataset's locator", async () => {
+  const [rec] = await resolveBulkItems([{ assetId: "9 Fairfax Center Pkwy, Fairfax, VA" }], "fairfax_bmps");
+  assert.equal(rec.status, "geocoded (low score)");
+  assert.equal(rec.feature.properties._lowScore, true);
+  assert.equal(rec.geocodeScore, 72);
+});
+
+// ---------- GeoPackage ----------
+
+// Feature table columns → { name: type }, and its first row
+async function gpkgTable(features) {
+  const file = path.join(os.tmpdir(), `mapbuddy-test-${process.pid}.gpkg`);
+  await fs.writeFile(file, await buildGpkg(features));
+  const db = new Database(file, { readonly: true });
+  try {
+    const [{ table_name: t }] = db.prepare("SELECT table_name FROM gpkg_contents WHERE data_type = 'features'").all();
+    const columns = Object.fromEntries(db.prepare(`PRAGMA table_info("${t}")`).all().map(c => [c.name, c.type]));
+    return { columns, row: db.prepare(`SELECT * FROM "${t}"`).get() };
+  } finally {
+    db.close();
+    await fs.rm(file, { force: true });
+  }
+}
+
+test("GeoPackage columns take the layer's field types, dates as DATETIME", async () => {
+  const [raw] = await resolveBulkItems([{ assetId: "WP0399" }], "fairfax_bmps", { raw: true });
+  const { columns, row } = await gpkgTable([raw.feature]);
+  assert.equal(columns.OBJECTID, "INTEGER");
+  assert.equal(columns.STATUS, "SMALLINT");
+  assert.equal(columns.INSTALL_DATE, "DATETIME");
+  assert.match(row.INSTALL_DATE, /^\d{4}-\d{2}-\d{2}T/);
+
+  // Curated: aliases keep their field's type; decoded descriptions are text
+  const [rec] = await resolveBulkItems([{ assetId: "WP0399" }], "fairfax_bmps");
+  const curated = await gpkgTable([rec.feature]);
+  assert.equal(curated.columns.Installed, "DATETIME");
+  assert.equal(curated.columns.Status, "TEXT");
+  assert.equal(curated.row.Status, "Active");
+});
@@ -0,0 +1,103 @@
+// test/where.test.js
+// The where builder against hostile input: every value must come out as one
+// escaped literal (or not at all), whatever the field type.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { equalsAny, fieldSchemaOf, likeAny, resolveField, sqlString } from "../lib/where.js";
+
+const schema = fieldSchemaOf({
+  fields: [
+    { name: "OBJECTID", type: "esriFieldTypeOID" },
+    { name: "FACILITY_ID", type: "esriFieldTypeString" },
+    { name: "SEQNO", type: "esriFieldTypeInteger" },
+    { name: "GlobalID", type: "esriFieldTypeGlobalID" },
+  ],
+});
+const text = resolveField(schema, "FACILITY_ID");
+const number = resolveField(schema, "SEQNO");
+const guid = resolveField(schema, "GlobalID");
+
+// ---------- sqlString ----------
+
+test("sqlString doubles quotes", () => {
+  assert.equal(sqlString("O'Brien"), "'O''Brien'");
+  assert.equal(sqlString("' OR 1=1 --"), "''' OR 1=1 --'");
+  assert.equal(sqlString("''"), "''''''");
+});
+
+test("sqlString drops NUL characters", () => {
+  assert.equal(sqlString("WP\u00000399' --"), "'WP0399'' --'");
+});
+
+// ---------- equalsAny ----------
+
+test("equalsAny keeps an injection attempt inside one literal", () => {
+  assert.equal(equalsAny(text, ["' OR 1=1 --"]), "UPPER(FACILITY_ID) = ''' OR 1=1 --'");
+  assert.equal(equalsAny(text, ["a'); DROP TABLE x; --", "b"]), "UPPER(FACILITY_ID) IN ('A''); DROP TABLE X; --','B')");
+});
+
+test("equalsAny leaves LIKE wildcards alone (they mean nothing to =)", () => {
+  assert.equal(equalsAny(text, ["%", "_"]), "UPPER(FACILITY_ID) IN ('%','_')");
+});
+
+test("equalsAny only sends numbers to numeric fields", () => {
+  assert.equal(equalsAny(number, ["42"]), "SEQNO = 42");
+  assert.equal(equalsAny(number, [" -3.5 "]), "SEQNO = -3.5");
+  assert.equal(equalsAny(number, ["1 OR 1=1"]), null);
+  assert.equal(equalsAny(number, ["' OR 1=1 --", "WP0399", "0x10", "1e3", ""]), null);
+  assert.equal(equalsAny(number, ["7", "1; DROP", "8"]), "SEQNO IN (7,8)");
+});
+
+test("equalsAny only sends GUIDs to GUID fields, braced and upper-cased", () => {
+  assert.equal(equalsAny(guid, ["6f9619ff-8b86-d011-b42d-00c04fc964ff"]), "GlobalID = '{6F9619FF-8B86-D011-B42D-00C04FC964FF}'");
+  assert.equal(equalsAny(guid, ["{6F9619FF-8B86-D011-B42D-00C04FC964FF}' OR '1'='1"]), null);
+  assert.equal(equalsAny(guid, ["' OR 1=1 --", "17"]), null);
+});
+
+// ---------- likeAny ----------
+
+test("likeAny escapes quotes inside the pattern", () => {
+  assert.equal(likeAny(text, ["' OR 1=1 --"]), "UPPER(FACILITY_ID) LIKE '%'' OR 1=1 --%' ESCAPE '\\'");
+});
+
+test("likeAny makes %, _ and the escape character literal", () => {
+  assert.equal(likeAny(text, ["%"]), "UPPER(FACILITY_ID) LIKE '%\\%%' ESCAPE '\\'");
+  assert.equal(likeAny(text, ["_"]), "UPPER(FACILITY_ID) LIKE '%\\_%' ESCAPE '\\'");
+  assert.equal(likeAny(text, ["a\\b"]), "UPPER(FACILITY_ID) LIKE '%A\\\\B%' ESCAPE '\\'");
+  assert.equal(likeAny(text, ["50%_off"]), "UPPER(FACILITY_ID) LIKE '%50\\%\\_OFF%' ESCAPE '\\'");
+});
+
+test("likeAny skips empty values instead of matching everything", () => {
+  assert.equal(likeAny(text, ["", null]), null);
+  assert.equal(likeAny(text, ["", "wp04"]), "UPPER(FACILITY_ID) LIKE '%WP04%' ESCAPE '\\'");
+});
+
+test("likeAny does not run on numeric or GUID fields", () => {
+  assert.equal(likeAny(number, ["1"]), null);
+  assert.equal(likeAny(guid, ["6F96"]), null);
+});
+
+// ---------- resolveField ----------
+
+test("resolveField rejects field names that are not identifiers", () => {
+  for (const name of ["FACILITY_ID OR 1=1", "FACILITY_ID--", "1=1", "A;B", "UPPER(X)", "\"FACILITY_ID\"", "", "FACILITY ID", "FIELD\u0000"]) {
+    assert.throws(() => resolveField(schema, name), /Invalid field name/, name);
+    assert.throws(() => resolveField(null, name), /Invalid field name/, name);
+  }
+});
+
+test("resolveField rejects fields the layer does not have", () => {
+  assert.throws(() => resolveField(schema, "OWNER"), /Unknown field 'OWNER'/);
+});
+
+test("resolveField uses the layer's spelling and type", () => {
+  assert.deepEqual(resolveField(schema, "facility_id"), { name: "FACILITY_ID", kind: "text" });
+  assert.deepEqual(resolveField(schema, "objectid"), { name: "OBJECTID", kind: "number" });
+  assert.deepEqual(resolveField(schema, "GLOBALID"), { name: "GlobalID", kind: "guid" });
+});
+
+test("resolveField without a layer definition: only OBJECTID-like fields are numeric", () => {
+  assert.deepEqual(resolveField(null, "OBJECTID_1"), { name: "OBJECTID_1", kind: "number" });
+  assert.deepEqual(resolveField(null, "SEQNO"), { name: "SEQNO", kind: "text" });
+});